@@ -0,0 +1,290 @@
+// Whole-lattice cluster labelling: every connected cluster of up / alive
+// (+1) cells in one union-find pass, rather than a flood fill per click.
+//
+// Edges wrap periodically. Each cell remembers its displacement from its
+// root, so when a bond joins two cells already in one cluster their
+// unwrapped positions can be compared: a mismatch means the cluster reaches
+// its own periodic image, i.e. it wraps around the torus (percolates) in
+// that direction.
+
+export class ClusterLabels {
+    // cells: Int32Array / Int8Array of the lattice (+1 up, anything else down)
+    // offsets: the connectivity as [dx, dy] pairs (see neighbourOffsets)
+    constructor(cells, width, height, offsets) {
+        const n = width * height;
+        this.width = width;
+        this.height = height;
+        const parent = new Int32Array(n).fill(-1); // -1: down cell
+        const rank = new Uint8Array(n);
+        const dx = new Int32Array(n); // displacement from parent
+        const dy = new Int32Array(n);
+        const wraps = new Uint8Array(n); // per root: 1 = x, 2 = y
+        for (let i = 0; i < n; i++) if (cells[i] === 1) parent[i] = i;
+
+        // Root of i; leaves i's displacement from the root in fx, fy
+        let fx = 0, fy = 0;
+        const find = (i) => {
+            let root = i;
+            let sx = 0, sy = 0;
+            while (parent[root] !== root) {
+                sx += dx[root];
+                sy += dy[root];
+                root = parent[root];
+            }
+            // Point the path straight at the root
+            let node = i, ax = sx, ay = sy;
+            while (node !== root) {
+                const next = parent[node];
+                const ndx = dx[node], ndy = dy[node];
+                parent[node] = root;
+                dx[node] = ax;
+                dy[node] = ay;
+                ax -= ndx;
+                ay -= ndy;
+                node = next;
+            }
+            fx = sx;
+            fy = sy;
+            return root;
+        };
+
+        // Each bond once: half of a symmetric neighbourhood
+        const half = offsets.filter(([ox, oy]) => oy > 0 || (oy === 0 && ox > 0));
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const a = y * width + x;
+                if (parent[a] < 0) continue;
+                for (const [ox, oy] of half) {
+                    const b = ((y + oy + height) % height) * width + ((x + ox + width) % width);
+                    if (parent[b] < 0) continue;
+                    const ra = find(a);
+                    const ax = fx, ay = fy;
+                    const rb = find(b);
+                    // b's position relative to ra, going through this bond
+                    const ex = ax + ox - fx;
+                    const ey = ay + oy - fy;
+                    if (ra === rb) {
+                        if (ex !== 0) wraps[ra] |= 1;
+                        if (ey !== 0) wraps[ra] |= 2;
+                    } else if (rank[ra] >= rank[rb]) {
+                        parent[rb] = ra;
+                        dx[rb] = ex;
+                        dy[rb] = ey;
+                        wraps[ra] |= wraps[rb];
+                        if (rank[ra] === rank[rb]) rank[ra]++;
+                    } else {
+                        parent[ra] = rb;
+                        dx[ra] = -ex;
+                        dy[ra] = -ey;
+                        wraps[rb] |= wraps[ra];
+                    }
+                }
+            }
+        }
+
+        // Number the clusters 0..count-1 in scan order
+        this.labels = new Int32Array(n).fill(-1);
+        const labelOf = new Int32Array(n).fill(-1);
+        const sizes = [];
+        const wrapX = [];
+        const wrapY = [];
+        for (let i = 0; i < n; i++) {
+            if (parent[i] < 0) continue;
+            const root = find(i);
+            if (labelOf[root] < 0) {
+                labelOf[root] = sizes.length;
+                sizes.push(0);
+                wrapX.push((wraps[root] & 1) !== 0);
+                wrapY.push((wraps[root] & 2) !== 0);
+            }
+            this.labels[i] = labelOf[root];
+            sizes[labelOf[root]]++;
+        }
+        this.sizes = Int32Array.from(sizes);
+        this.wrapX = wrapX;
+        this.wrapY = wrapY;
+    }
+
+    get count() {
+        return this.sizes.length;
+    }
+
+    // Label of the biggest cluster, -1 if there are none
+    get largest() {
+        let best = -1;
+        for (let k = 0; k < this.sizes.length; k++) {
+            if (best < 0 || this.sizes[k] > this.sizes[best]) best = k;
+        }
+        return best;
+    }
+
+    // Biggest cluster as a fraction of the whole lattice (the percolation
+    // order parameter P)
+    get largestFraction() {
+        const k = this.largest;
+        return k < 0 ? 0 : this.sizes[k] / (this.width * this.height);
+    }
+
+    // Whether any cluster wraps around the lattice, per direction
+    get percolates() {
+        return { x: this.wrapX.includes(true), y: this.wrapY.includes(true) };
+    }
+
+    // Cells of cluster `label`, as the Set the structure tracker takes
+    cells(label) {
+        const out = new Set();
+        for (let i = 0; i < this.labels.length; i++) if (this.labels[i] === label) out.add(i);
+        return out;
+    }
+}
+
+// Cluster-size distribution n(s) accumulated over frames, in powers-of-two
+// bins so a power law n(s) ~ s^-tau is a straight line on log-log axes
+export class ClusterHistogram {
+    constructor() {
+        this.clear();
+    }
+
+    clear() {
+        this.counts = [];
+        this.frames = 0;
+        this.cells = 0;
+        this.ticks = new Set(); // ticks already counted, oldest first as a run goes live
+    }
+
+    // sizes: ClusterLabels.sizes of one frame of numCells cells, at `tick`;
+    // a frame already counted is skipped, so it isn't weighted twice
+    add(sizes, numCells, tick) {
+        if (this.ticks.has(tick)) return false;
+        this.ticks.add(tick);
+        for (const s of sizes) {
+            const bin = 31 - Math.clz32(s);
+            while (this.counts.length <= bin) this.counts.push(0);
+            this.counts[bin]++;
+        }
+        this.frames++;
+        this.cells += numCells;
+        return true;
+    }
+
+    // Forget the ticks before `oldest`, which are off the timeline and can't
+    // be shown again. Live ticks go in in order, so this stops at the first
+    // one kept; a tick labelled out of order goes once those before it have.
+    forgetBefore(oldest) {
+        for (const t of this.ticks) {
+            if (t >= oldest) break;
+            this.ticks.delete(t);
+        }
+    }
+
+    // Forget that the ticks after `tick` were counted, as when the run
+    // resumes from there and they become new frames
+    forgetAfter(tick) {
+        for (const t of this.ticks) if (t > tick) this.ticks.delete(t);
+    }
+
+    // Non-empty bins as { size, density }: size the bin's geometric centre,
+    // density the clusters per cell per unit size (n(s))
+    bins() {
+        const out = [];
+        this.counts.forEach((count, bin) => {
+            if (count === 0) return;
+            const lo = 2 ** bin;
+            out.push({ size: lo * Math.SQRT2, density: count / lo / this.cells });
+        });
+        return out;
+    }
+
+    // Least-squares tau of n(s) ~ s^-tau over the bins (null if under 3),
+    // leaving out the top bin, which the lattice size cuts short
+    exponent() {
+        const bins = this.bins().slice(0, -1);
+        if (bins.length < 3) return null;
+        let sx = 0, sy = 0, sxx = 0, sxy = 0;
+        for (const { size, density } of bins) {
+            const x = Math.log(size);
+            const y = Math.log(density);
+            sx += x;
+            sy += y;
+            sxx += x * x;
+            sxy += x * y;
+        }
+        const n = bins.length;
+        return -(n * sxy - sx * sy) / (n * sxx - sx * sx);
+    }
+}
+
+// n(s) on log-log axes, with the fitted power law dashed
+export function drawClusterHistogram(ctx, histogram) {
+    const w = ctx.canvas.width;
+    const h = ctx.canvas.height;
+    ctx.fillStyle = '#111';
+    ctx.fillRect(0, 0, w, h);
+    ctx.font = '10px sans-serif';
+    ctx.textBaseline = 'top';
+
+    const bins = histogram.bins();
+    if (bins.length === 0) {
+        ctx.fillStyle = '#666';
+        ctx.fillText('No clusters sampled', 4, 4);
+        return;
+    }
+
+    const pad = 20;
+    const lx = bins.map(b => Math.log10(b.size));
+    const ly = bins.map(b => Math.log10(b.density));
+    const x0 = Math.floor(Math.min(...lx)), x1 = Math.max(x0 + 1, Math.ceil(Math.max(...lx)));
+    const y0 = Math.floor(Math.min(...ly)), y1 = Math.max(y0 + 1, Math.ceil(Math.max(...ly)));
+    const px = (v) => pad + (v - x0) / (x1 - x0) * (w - pad - 6);
+    const py = (v) => 6 + (1 - (v - y0) / (y1 - y0)) * (h - pad - 6);
+
+    // A grid line per decade
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+    ctx.fillStyle = '#666';
+    for (let d = x0; d <= x1; d++) {
+        ctx.beginPath();
+        ctx.moveTo(px(d), 6);
+        ctx.lineTo(px(d), h - pad);
+        ctx.stroke();
+        ctx.fillText(`10${superscript(d)}`, px(d) - 6, h - pad + 4);
+    }
+    for (let d = y0; d <= y1; d++) {
+        ctx.beginPath();
+        ctx.moveTo(pad, py(d));
+        ctx.lineTo(w - 6, py(d));
+        ctx.stroke();
+    }
+
+    const tau = histogram.exponent();
+    if (tau !== null) {
+        // Through the fitted points' centroid
+        const fit = bins.slice(0, -1);
+        const mx = fit.reduce((s, b) => s + Math.log10(b.size), 0) / fit.length;
+        const my = fit.reduce((s, b) => s + Math.log10(b.density), 0) / fit.length;
+        ctx.strokeStyle = 'rgba(255, 190, 11, 0.6)';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(px(x0), py(my - tau * (x0 - mx)));
+        ctx.lineTo(px(x1), py(my - tau * (x1 - mx)));
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    ctx.fillStyle = '#3a86ff';
+    for (let i = 0; i < bins.length; i++) {
+        ctx.beginPath();
+        ctx.arc(px(lx[i]), py(ly[i]), 2.5, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    ctx.fillStyle = '#aaa';
+    ctx.textAlign = 'right';
+    ctx.fillText(`n(s), ${histogram.frames} frame${histogram.frames === 1 ? '' : 's'}` +
+        (tau !== null ? `, τ ≈ ${tau.toFixed(2)}` : ''), w - 6, 8);
+    ctx.textAlign = 'left';
+}
+
+function superscript(n) {
+    const digits = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+    return String(n).replace('-', '⁻').replace(/\d/g, d => digits[d]);
+}
@@ -1,14 +1,83 @@
 /**
- * Lattice Embed Script
+ * Lattice Embed Library
  *
- * Finds all <div class="lattice-embed"> elements on the page, initialises the
- * WASM simulation once, then spins up an independent simulation + canvas inside
- * each container.
+ * Loaded as a plain <script type="module">, it finds all
+ * <div class="lattice-embed"> elements on the page, initialises the WASM
+ * simulation once, then spins up an independent simulation + canvas inside
+ * each container. Imported, it also mounts embeds from script:
  *
- * Configuration per-embed (in priority order):
- *   1. Inline <script type="application/json"> child  (full config object)
- *   2. data-preset  attribute  ("ising-cold", "ising-hot", "gol")
- *   3. Individual data-* attributes (data-density, data-speed, etc.)
+ *   import { createLatticeEmbed, bootAll } from '/_static/lattice/embed.js';
+ *   const embed = await createLatticeEmbed(el, { preset: 'gol', seed: 7 });
+ *   await bootAll(articleEl); // any .lattice-embed added since
+ *
+ * Configuration per-embed (later sources override earlier ones):
+ *   1. data-preset / "preset"  ("ising-critical", "ising-cold", "ising-hot", "gol")
+ *   2. Inline <script type="application/json"> child  (full config object, in
+ *      any config shape: a config saved from the simulator works too; see schema.js)
+ *   3. window.latticeConfigs[container.id]
+ *   4. Individual data-* attributes (data-density, data-speed, data-autoplay, etc.)
+ *   5. The config passed to createLatticeEmbed()
+ *
+ * Lattice options: `"boundaries": { "top": "fixed", ..., "fixedValue": -1 }`
+ * ("periodic", "fixed", "reflect", "absorbing"), `"updateOrder"`
+ * ("async_first" / "sync_first"), `"init": { "type": "empty" }` for a blank
+ * start and `"autoplay": false` (data-autoplay="false") to show a still first
+ * frame with a play button instead of starting straight away. Readers who
+ * prefer reduced motion always get that poster.
+ *
+ * Resizing the container crops or pads the running lattice rather than
+ * restarting it; `"resizeAnchor"` / data-resize-anchor picks the point that
+ * stays put ("center", the default, or "top-left").
+ *
+ * Embeds stop ticking and drawing while scrolled out of view or while the tab
+ * is hidden, and pick up where they left off when they come back.
+ *
+ * Ising embeds accept `async.dynamics` ("metropolis" or "glauber"); Life
+ * embeds accept `sync.neighbourhood` ("moore", "von-neumann", "hex" or "ltl"
+ * with `sync.radius`), counted in birth / survival as for Moore.
+ * Set `"worker": true` (or data-worker="true") to tick the simulation in a
+ * dedicated Web Worker instead of on the main thread, and `"renderer": "webgl"`
+ * (or data-renderer="webgl") to draw with WebGL; 2D canvas is the fallback.
+ *
+ * Colours: `"theme"` / data-theme picks a palette from themes.js ("dark",
+ * "light", "auto", ...), `"colors": { "up": "#000", "down": "#fff" }`
+ * overrides single entries, and `"colorMode"` / data-color-mode switches from
+ * the raw state to "age" (shaded by how long a cell has held its state) or the
+ * "flip-age" / "activity" heatmaps.
+ *
+ * Patterns: `"init": { "type": "rle", "data": "x = 3, y = 3\nbo$2bo$3o!" }`
+ * (or `"type": "cells"` for plaintext) clears the lattice and places the
+ * pattern in the centre; an RLE `rule = B3/S23` header sets the Life rule
+ * unless `sync.birth` / `sync.survival` are given.
+ *
+ * `"seed"` / data-seed (a number or any string) draws the initial random
+ * lattice from that seed, so the embed plays the same run on every load; the
+ * presets carry fixed seeds. The instance is reachable as
+ * `container.latticeEmbed`, with getSeed() / setSeed(seed) to restart a run.
+ *
+ * Control: each mounted element gets `element.lattice` with play(), pause(),
+ * step(n), setParams({ temperature: 2.4 }), getParams(), getMeasurements(),
+ * snapshot(), record(options), restore(state), reset() and simulatorUrl().
+ * The element fires bubbling `lattice:ready` once mounted, `lattice:tick`
+ * ({ tick }) after each tick and `lattice:measure` ({ tick, density, mag,
+ * energy }) with the measurements of that tick.
+ *
+ * Capture: snapshot({ format: 'png', scale: 4 }) resolves to a PNG Blob of
+ * the lattice (plain snapshot() to the saved state), and
+ * record({ frames: 120, format: 'gif' }) to a WebM / GIF / PNG-zip Blob of
+ * the next ticks (record.js), drawn at `scale` px per cell in the embed's
+ * colours or `theme` / `colors`; `every` keeps one frame in that many ticks.
+ *
+ * `"controls": true` / data-controls="true" adds a control bar (overlay.js)
+ * with play / pause, step, reset, a temperature slider or rule picker and an
+ * "Open in simulator" link built from the embed's live config.
+ *
+ * Scrollytelling: an element marked data-lattice-step='{"temperature": 1.0}'
+ * eases the nearest embed above it to those parameters as it scrolls past the
+ * middle of the viewport (scrolly.js has the details).
+ *
+ * A `"state"` snapshot saved by the simulator ("Include Lattice State")
+ * restores that exact lattice and tick count; ticking waits until it is loaded.
  *
  * The script auto-detects its own URL so it can resolve sibling assets
  * (the .js bindings and .wasm file) regardless of where the hosting page lives.
@@ -20,6 +89,22 @@
 //   - trunk serve / trunk build (hashed filenames like lattice-gol-<hash>.js)
 //   - make build (stable aliases lattice.js / lattice.wasm)
 // ---------------------------------------------------------------------------
+import { RemoteSimulation } from './remote.js';
+import { GLRenderer } from './gl-renderer.js';
+import { resolveTheme, colorize, AgeTracker } from './themes.js';
+import { parseRLE, parseCells, parseRule, formatRule, stamp } from './patterns.js';
+import { writeCells, writeGrid } from './paint.js';
+import { encodeState, decodeState, fitGrid } from './snapshot.js';
+import { OBSERVABLES } from './measurements.js';
+import { bindScrollSteps } from './scrolly.js';
+import { ControlOverlay } from './overlay.js';
+import { makeLife, tickWithLife } from './neighbourhoods.js';
+import { drawCells, canvasToBlob, recordFrames } from './record.js';
+import { normalizeSeed, seededCells, freshSimulation } from './seed.js';
+import {
+  PRESETS, migrateConfig, expandPreset, validateConfig, toEmbedConfig, mergeDeep, encodeConfigHash,
+} from './schema.js';
+
 const SCRIPT_URL = new URL(import.meta.url);
 const base = SCRIPT_URL.href.substring(0, SCRIPT_URL.href.lastIndexOf('/') + 1);
 
@@ -57,87 +142,72 @@ async function discoverAssets() {
   return { bindingsUrl: base + 'lattice.js', wasmUrl: base + 'lattice.wasm' };
 }
 
-// ---------------------------------------------------------------------------
-// Presets
-// ---------------------------------------------------------------------------
-const PRESETS = {
-  'ising-cold': {
-    async: { enabled: true, temperature: 1.0, field_h: 0, coupling_j: 1.0, sweeps: 1.0 },
-    sync:  { enabled: false },
-    init:  { type: 'random', density: 0.5 },
-    speed: 30,
-  },
-  'ising-hot': {
-    async: { enabled: true, temperature: 4.0, field_h: 0, coupling_j: 1.0, sweeps: 1.0 },
-    sync:  { enabled: false },
-    init:  { type: 'random', density: 0.5 },
-    speed: 30,
-  },
-  'ising-critical': {
-    async: { enabled: true, temperature: 2.27, field_h: 0, coupling_j: 1.0, sweeps: 1.0 },
-    sync:  { enabled: false },
-    init:  { type: 'random', density: 0.5 },
-    speed: 30,
-  },
-  'gol': {
-    async: { enabled: false },
-    sync:  { enabled: true, birth: [3], survival: [2, 3] },
-    init:  { type: 'random', density: 0.2 },
-    speed: 10,
-  },
-};
-
 // ---------------------------------------------------------------------------
 // Helpers
 // ---------------------------------------------------------------------------
 
+// setParams() shorthands that only need set_ising_params()
+const ISING_SHORTHANDS = ['temperature', 'field', 'coupling', 'dynamics'];
+
 function bitmask(arr) {
   let mask = 0;
   for (const n of arr) mask |= (1 << n);
   return mask;
 }
 
-function mergeDeep(target, source) {
-  for (const key of Object.keys(source)) {
-    if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
-      if (!target[key]) target[key] = {};
-      mergeDeep(target[key], source[key]);
-    } else {
-      target[key] = source[key];
-    }
-  }
-  return target;
+/** data-* attributes as a canonical config */
+function attributeConfig(container) {
+  const d = container.dataset;
+  const cfg = { display: {} };
+  if (d.preset)    cfg.preset = d.preset;
+  if (d.seed)      cfg.seed   = d.seed;
+  if (d.worker)    cfg.worker = d.worker === 'true';
+  if (d.density)   cfg.display.density   = Number(d.density);
+  if (d.speed)     cfg.display.speed_fps = Number(d.speed);
+  if (d.renderer)  cfg.display.renderer  = d.renderer;
+  if (d.theme)     cfg.display.theme     = d.theme;
+  if (d.colorMode) cfg.display.color_mode = d.colorMode;
+  if (d.autoplay)  cfg.display.autoplay  = d.autoplay !== 'false';
+  if (d.controls)  cfg.display.controls  = d.controls !== 'false';
+  if (d.resizeAnchor) cfg.lattice = { resize_anchor: d.resizeAnchor };
+  return cfg;
 }
 
-/** Read the config for a single embed container. */
-function readConfig(container) {
-  // 1. Inline JSON
+/**
+ * Read the config for a single embed container. Sources, lowest priority
+ * first: preset, inline JSON, window.latticeConfigs[container.id], data-*
+ * attributes, then `overrides` from createLatticeEmbed(). Any config shape works.
+ */
+function readConfig(container, overrides = null) {
+  const sources = [];
   const jsonScript = container.querySelector('script[type="application/json"]');
-  let cfg = {};
-
   if (jsonScript) {
-    try { cfg = JSON.parse(jsonScript.textContent); } catch (e) {
+    try { sources.push(JSON.parse(jsonScript.textContent)); } catch (e) {
       console.warn('lattice-embed: bad inline JSON', e);
     }
   }
-
-  // 2. Preset (can be overridden by inline JSON or data-* attrs)
-  const presetName = container.dataset.preset;
-  if (presetName && PRESETS[presetName]) {
-    cfg = mergeDeep(structuredClone(PRESETS[presetName]), cfg);
+  if (container.id && window.latticeConfigs?.[container.id]) {
+    sources.push(window.latticeConfigs[container.id]);
   }
+  sources.push(attributeConfig(container));
+  if (overrides) sources.push(overrides);
 
-  // 3. Data attributes as overrides
-  if (container.dataset.density) cfg.density = Number(container.dataset.density);
-  if (container.dataset.speed)   cfg.speed   = Number(container.dataset.speed);
+  let cfg = {};
+  for (const source of sources) mergeDeep(cfg, migrateConfig(source));
+  cfg = expandPreset(cfg);
+
+  const { errors, warnings } = validateConfig(cfg);
+  for (const w of warnings) console.warn('lattice-embed:', w, container);
+  for (const e of errors) console.error('lattice-embed:', e, container);
+  cfg = toEmbedConfig(cfg);
 
   // Defaults
   if (!cfg.density) cfg.density = 3;
-  if (!cfg.speed)   cfg.speed   = 30;
   if (!cfg.async && !cfg.sync) {
     // Default to ising-critical if nothing specified
-    Object.assign(cfg, structuredClone(PRESETS['ising-critical']));
+    cfg = { ...toEmbedConfig(PRESETS['ising-critical']), ...cfg };
   }
+  if (!cfg.speed)   cfg.speed   = 30;
 
   return cfg;
 }
@@ -147,8 +217,15 @@ function readConfig(container) {
 // ---------------------------------------------------------------------------
 
 class LatticeEmbed {
-  constructor(container, Simulation, wasmMemory, cfg) {
+  /**
+   * @param {HTMLElement} container
+   * @param {Simulation|RemoteSimulation} sim  local WASM simulation or worker proxy
+   * @param {{buffer: ArrayBuffer}} wasmMemory  memory that `sim.get_cells_ptr()` points into
+   * @param {object} cfg
+   */
+  constructor(container, sim, wasmMemory, cfg) {
     this.container = container;
+    container.latticeEmbed = this;
     this.cfg = cfg;
     this.wasmMemory = wasmMemory;
 
@@ -159,16 +236,29 @@ class LatticeEmbed {
     this.canvas.style.height = '100%';
     this.canvas.style.imageRendering = 'pixelated';
     container.appendChild(this.canvas);
-    this.ctx = this.canvas.getContext('2d');
+    this.gl = cfg.renderer === 'webgl' ? GLRenderer.create(this.canvas) : null;
+    if (!this.gl) this.ctx = this.canvas.getContext('2d');
+
+    // Colours
+    this.colors = resolveTheme(cfg.theme || 'dark', cfg.colors);
+    if (this.gl) this.gl.setColors(this.colors);
+    this.colorMode = cfg.colorMode || 'state';
+    this.ages = this.colorMode !== 'state' ? new AgeTracker(0) : null;
 
     // Sizing
     this.cellSize = cfg.density || 3;
     this.resize();
 
     // Simulation
-    this.sim = Simulation.new();
+    this.sim = sim;
+    if (this.sim.onframe !== undefined) {
+      this.sim.onframe = (ticked) => { if (ticked) this.afterTick(); };
+    }
     this.sim.set_resolution(this.gridW, this.gridH);
+    this.tick = 0;
+    this.restoring = false;
     this.applyCfg(cfg);
+    this.ready = cfg.state ? this.restoreState(cfg.state) : Promise.resolve();
 
     // Offscreen buffer
     this.offscreen = document.createElement('canvas');
@@ -177,46 +267,358 @@ class LatticeEmbed {
     this.offCtx = this.offscreen.getContext('2d', { alpha: false });
     this.imgData = this.offCtx.createImageData(this.gridW, this.gridH);
 
-    // Animation
-    this.fpsInterval = 1000 / (cfg.speed || 30);
+    // Animation (the frame interval is set by applyParams)
     this.lastTime = 0;
-    this.running = true;
+    this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+    this.running = cfg.autoplay !== false && !this.reducedMotion.matches;
     this.animId = null;
+    this.onScreen = true;
+    this.playButton = null;
+
+    // Poster: a still frame and a play button until the reader starts it
+    if (!this.running) this.showPlayButton();
+    this.controls = null;
+    if (cfg.controls) {
+      this.positionContainer();
+      this.controls = new ControlOverlay(this);
+    }
+
+    // Public controller, see createController()
+    container.lattice = this.createController();
 
     // Observe resize
     this.ro = new ResizeObserver(() => this.handleResize());
     this.ro.observe(container);
 
+    // Neither tick nor draw while scrolled away or in a background tab
+    this.io = new IntersectionObserver((entries) => {
+      // Entries queue up in order (e.g. a quick scroll out and back); the last is current
+      this.onScreen = entries[entries.length - 1].isIntersecting;
+      this.updateSuspended();
+    });
+    this.io.observe(container);
+    this.onVisibility = () => this.updateSuspended();
+    document.addEventListener('visibilitychange', this.onVisibility);
+    this.onMotionPref = (e) => {
+      if (e.matches) {
+        this.pause();
+        this.showPlayButton();
+      }
+    };
+    this.reducedMotion.addEventListener('change', this.onMotionPref);
+
     // Start
     this.loop = this.loop.bind(this);
-    requestAnimationFrame(this.loop);
+    this.updateSuspended();
   }
 
+  /** Parameters plus the initial lattice */
   applyCfg(cfg) {
+    // Pattern seed: init: { type: 'rle' | 'cells', data }
+    const pattern = (cfg.init?.type === 'rle' || cfg.init?.type === 'cells')
+      ? (cfg.init.type === 'rle' ? parseRLE(cfg.init.data) : parseCells(cfg.init.data))
+      : null;
+    this.patternRule = pattern?.rule ?? null;
+    this.applyParams(cfg);
+
+    // Initial state
+    if (cfg.init?.type === 'empty') {
+      this.sim.clear();
+    } else if (pattern) {
+      this.sim.clear();
+      const { indices, values } = stamp(pattern, this.gridW >> 1, this.gridH >> 1, this.gridW, this.gridH);
+      writeCells(this.sim, this.wasmMemory, indices, values);
+    } else if (cfg.seed !== undefined && cfg.seed !== null) {
+      const n = this.gridW * this.gridH;
+      writeGrid(this.sim, this.wasmMemory, seededCells(cfg.seed, n, cfg.init?.density ?? 0.5));
+    } else if (cfg.init?.density !== undefined) {
+      this.sim.init_random(cfg.init.density);
+    }
+  }
+
+  /** Dynamics, rules and edges only; the lattice is left as it is */
+  applyParams(cfg) {
     // Async / Ising
     const asyncEnabled = cfg.async?.enabled ?? false;
     const syncEnabled  = cfg.sync?.enabled  ?? false;
-    const order = 'async_first';
+    const order = cfg.updateOrder ?? 'async_first';
     const sweeps = cfg.async?.sweeps ?? 1.0;
-    this.sim.set_update_config(syncEnabled, asyncEnabled, order, sweeps);
+    const birthList    = cfg.sync?.birth    || this.patternRule?.birth    || [3];
+    const survivalList = cfg.sync?.survival || this.patternRule?.survival || [2, 3];
+    // The engine only does Moore; other neighbourhoods step in neighbourhoods.js
+    const hood = cfg.sync?.neighbourhood ?? 'moore';
+    this.life = syncEnabled && hood !== 'moore'
+      ? makeLife(hood, cfg.sync.radius ?? 1, birthList, survivalList, cfg.boundaries)
+      : null;
+    this.order = order;
+    this.sim.set_update_config(syncEnabled && !this.life, asyncEnabled, order, sweeps);
+
+    if (asyncEnabled) this.applyIsing(cfg);
+
+    // Lattice edges and drift
+    if (cfg.boundaries) {
+      const code = { periodic: 0, fixed: 1, reflect: 2, absorbing: 3 };
+      const b = cfg.boundaries;
+      this.sim.set_boundaries(
+        code[b.top] ?? 0, code[b.bottom] ?? 0, code[b.left] ?? 0, code[b.right] ?? 0, b.fixedValue ?? 1);
+    }
+    if (cfg.scroll) this.sim.set_scroll_velocity(cfg.scroll.vx ?? 0, cfg.scroll.vy ?? 0);
+
+    // Sync / GoL (an RLE's own rule applies unless the config names one)
+    if (syncEnabled && !this.life) this.sim.set_gol_rules(bitmask(birthList), bitmask(survivalList));
 
-    if (asyncEnabled) {
-      const T = cfg.async.temperature ?? 2.27;
-      const h = cfg.async.field_h ?? 0;
-      const J = cfg.async.coupling_j ?? 1.0;
-      this.sim.set_ising_params(T, h, J, 'metropolis');
+    this.fpsInterval = 1000 / (cfg.speed || 30);
+  }
+
+  applyIsing(cfg) {
+    const T = cfg.async.temperature ?? 2.27;
+    const h = cfg.async.field_h ?? 0;
+    const J = cfg.async.coupling_j ?? 1.0;
+    const dynamics = cfg.async.dynamics ?? 'metropolis';
+    this.sim.set_ising_params(T, h, J, dynamics);
+  }
+
+  /**
+   * Change parameters while running. Takes embed-shape keys (async, sync,
+   * boundaries, scroll, updateOrder, speed) and the shorthands temperature,
+   * field, coupling, dynamics, sweeps and rule ("B3/S23"), as getParams() returns them.
+   */
+  setParams(params) {
+    const { temperature, field, coupling, dynamics, sweeps, rule, ...patch } = params;
+    const ising = { temperature, field_h: field, coupling_j: coupling, dynamics, sweeps };
+    for (const key of Object.keys(ising)) if (ising[key] === undefined) delete ising[key];
+    if (Object.keys(ising).length > 0) patch.async = { ...patch.async, ...ising };
+    if (rule !== undefined) patch.sync = { ...patch.sync, ...parseRule(rule) };
+
+    mergeDeep(this.cfg, patch);
+    // Tweens (scrolly.js) land here every frame with a number or two, so Ising
+    // parameters and speed go straight through rather than via applyParams()
+    const keys = Object.keys(params);
+    if (keys.every(key => ISING_SHORTHANDS.includes(key) || key === 'speed')) {
+      if (this.cfg.async?.enabled && keys.some(key => ISING_SHORTHANDS.includes(key))) this.applyIsing(this.cfg);
+      this.fpsInterval = 1000 / (this.cfg.speed || 30);
+    } else {
+      this.applyParams(this.cfg);
     }
+    this.controls?.sync();
+  }
 
-    // Sync / GoL
-    if (syncEnabled && cfg.sync) {
-      const birth    = bitmask(cfg.sync.birth    || [3]);
-      const survival = bitmask(cfg.sync.survival || [2, 3]);
-      this.sim.set_gol_rules(birth, survival);
+  /** Current values of the setParams() shorthands */
+  getParams() {
+    const a = this.cfg.async ?? {};
+    const sync = this.cfg.sync ?? {};
+    return {
+      temperature: a.temperature ?? 2.27,
+      field: a.field_h ?? 0,
+      coupling: a.coupling_j ?? 1.0,
+      dynamics: a.dynamics ?? 'metropolis',
+      sweeps: a.sweeps ?? 1.0,
+      rule: formatRule({
+        birth: sync.birth || this.patternRule?.birth || [3],
+        survival: sync.survival || this.patternRule?.survival || [2, 3],
+      }),
+      speed: this.cfg.speed || 30,
+    };
+  }
+
+  /** Latest measurements keyed as in measurements.js, plus the tick they belong to */
+  getMeasurements() {
+    const m = this.sim.get_measurements();
+    const out = { tick: this.tick };
+    OBSERVABLES.forEach(({ key }, k) => { out[key] = m[k]; });
+    return out;
+  }
+
+  /**
+   * Current lattice as a saved state (see snapshot.js), loadable via `"state"` or restoreState();
+   * with `format: 'png'`, as a PNG Blob instead (scale, theme, colors as for record())
+   */
+  snapshot({ format = 'state', ...image } = {}) {
+    const w = this.sim.get_width();
+    const h = this.sim.get_height();
+    const cells = new Int32Array(this.wasmMemory.buffer, this.sim.get_cells_ptr(), w * h);
+    if (format === 'png') {
+      const canvas = document.createElement('canvas');
+      drawCells(canvas, cells, w, h, this.imageOptions(image));
+      return canvasToBlob(canvas);
     }
+    if (format !== 'state') throw new Error(`lattice: unknown snapshot format "${format}"`);
+    return encodeState(cells, w, h, { tick: this.tick, seed: this.getSeed() ?? undefined });
+  }
 
-    // Init density
-    if (cfg.init?.density !== undefined) {
-      this.sim.init_random(cfg.init.density);
+  /**
+   * Record the next `frames` frames, one every `every` ticks, to a Blob (see record.js).
+   * The embed pauses while it records and resumes afterwards if it was playing.
+   */
+  async record({ frames = 100, every = 1, format = 'webm', fps = 30, onProgress, ...image } = {}) {
+    await this.ready;
+    const wasRunning = this.running;
+    this.pause();
+    const canvas = document.createElement('canvas');
+    const options = this.imageOptions(image);
+    try {
+      return await recordFrames(canvas, frames, async (i) => {
+        if (i > 0) {
+          for (let k = 0; k < every; k++) await this.advance();
+        }
+        this.draw();
+        const w = this.sim.get_width();
+        const h = this.sim.get_height();
+        drawCells(canvas, new Int32Array(this.wasmMemory.buffer, this.sim.get_cells_ptr(), w * h), w, h, options);
+      }, { format, fps, onProgress });
+    } finally {
+      if (wasRunning) this.play();
+    }
+  }
+
+  /** drawCells() options from snapshot() / record() options: the embed's own colours unless overridden */
+  imageOptions({ scale = 1, theme, colors } = {}) {
+    const palette = theme || colors
+      ? resolveTheme(theme ?? this.cfg.theme ?? 'dark', colors ?? this.cfg.colors)
+      : this.colors;
+    return { colors: palette, scale, mode: this.colorMode, tracker: this.ages };
+  }
+
+  play() {
+    this.running = true;
+    if (this.playButton) {
+      this.playButton.remove();
+      this.playButton = null;
+    }
+    this.controls?.sync();
+  }
+
+  pause() {
+    this.running = false;
+    this.controls?.sync();
+  }
+
+  /** Pause, then advance `n` ticks; resolves once they have all landed */
+  async step(n = 1) {
+    this.pause();
+    await this.ready;
+    for (let i = 0; i < n; i++) await this.advance();
+  }
+
+  /** One tick, counted; afterTick() runs when its frame is in */
+  advance() {
+    this.tick++;
+    const frame = this.life
+      ? tickWithLife(this.sim, this.wasmMemory, this.life, this.order)
+      : this.sim.tick();
+    if (!frame) this.afterTick();
+    return frame;
+  }
+
+  showPlayButton() {
+    if (this.playButton) return;
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = '\u25B6';
+    btn.setAttribute('aria-label', 'Play simulation');
+    Object.assign(btn.style, {
+      position: 'absolute', left: '50%', top: '50%', transform: 'translate(-50%, -50%)',
+      width: '56px', height: '56px', borderRadius: '50%', border: 'none', cursor: 'pointer',
+      background: 'rgba(0, 0, 0, 0.6)', color: '#fff', fontSize: '22px',
+    });
+    btn.addEventListener('click', () => this.play());
+    this.positionContainer();
+    this.container.appendChild(btn);
+    this.playButton = btn;
+  }
+
+  /** Overlays are absolutely positioned inside the container */
+  positionContainer() {
+    if (getComputedStyle(this.container).position === 'static') this.container.style.position = 'relative';
+  }
+
+  /** Keep the frame loop going only while the embed is on screen and the tab is visible */
+  updateSuspended() {
+    const active = this.onScreen && !document.hidden;
+    if (active && this.animId === null) {
+      this.lastTime = 0;
+      this.animId = requestAnimationFrame(this.loop);
+    } else if (!active && this.animId !== null) {
+      cancelAnimationFrame(this.animId);
+      this.animId = null;
+    }
+  }
+
+  /** The object published as `container.lattice` */
+  createController() {
+    const embed = this;
+    return {
+      play: () => this.play(),
+      pause: () => this.pause(),
+      step: (n) => this.step(n),
+      setParams: (params) => this.setParams(params),
+      getParams: () => this.getParams(),
+      getMeasurements: () => this.getMeasurements(),
+      snapshot: (options) => this.snapshot(options),
+      record: (options) => this.record(options),
+      restore: (state) => this.restoreState(state),
+      reset: () => this.reset(),
+      simulatorUrl: () => this.simulatorUrl(),
+      getSeed: () => this.getSeed(),
+      setSeed: (seed) => this.setSeed(seed),
+      get running() { return embed.running; },
+      get tick() { return embed.tick; },
+      embed,
+    };
+  }
+
+  emit(name, detail) {
+    this.container.dispatchEvent(new CustomEvent(`lattice:${name}`, { detail, bubbles: true }));
+  }
+
+  getSeed() {
+    return this.cfg.seed == null ? null : normalizeSeed(this.cfg.seed);
+  }
+
+  /** Restart from `seed` on a fresh Simulation, so the run matches a page load with that seed. */
+  setSeed(seed) {
+    this.cfg.seed = normalizeSeed(seed);
+    delete this.cfg.state;
+    return this.reset();
+  }
+
+  /** Start the run over from the config (same seed or saved state) on a fresh Simulation */
+  async reset() {
+    this.restoring = true;
+    try {
+      const fresh = await freshSimulation(this.sim);
+      if (fresh !== this.sim) {
+        this.sim.free();
+        this.sim = fresh;
+      }
+      this.sim.set_resolution(this.gridW, this.gridH);
+      this.applyCfg(this.cfg);
+      this.tick = 0;
+      if (this.ages) this.ages.reset(this.gridW * this.gridH);
+    } finally {
+      this.restoring = false;
+    }
+    if (this.cfg.state) await this.restoreState(this.cfg.state);
+  }
+
+  /** The full simulator, loaded with this embed's current config */
+  simulatorUrl() {
+    const cfg = migrateConfig(this.cfg);
+    delete cfg.state; // the simulator's lattice is a different size
+    return new URL('./', import.meta.url).href + encodeConfigHash(cfg);
+  }
+
+  /** Overwrite the lattice with a saved snapshot (see snapshot.js), centred if the size differs. */
+  async restoreState(state) {
+    this.restoring = true;
+    try {
+      const saved = await decodeState(state);
+      writeGrid(this.sim, this.wasmMemory, fitGrid(saved, state.width, state.height, this.gridW, this.gridH));
+      this.tick = state.tick ?? 0;
+    } catch (e) {
+      console.warn('lattice-embed: could not restore state', e);
+    } finally {
+      this.restoring = false;
     }
   }
 
@@ -235,7 +637,16 @@ class LatticeEmbed {
     const oldH = this.gridH;
     this.resize();
     if (this.gridW !== oldW || this.gridH !== oldH) {
+      // set_resolution() starts a fresh random lattice; carry the old one across
+      const sameSize = this.sim.get_width() === oldW && this.sim.get_height() === oldH;
+      const old = sameSize
+        ? new Int32Array(this.wasmMemory.buffer, this.sim.get_cells_ptr(), oldW * oldH).slice()
+        : null;
       this.sim.set_resolution(this.gridW, this.gridH);
+      if (old) {
+        const grid = fitGrid(old, oldW, oldH, this.gridW, this.gridH, this.cfg.resizeAnchor);
+        writeGrid(this.sim, this.wasmMemory, grid);
+      }
       this.offscreen.width  = this.gridW;
       this.offscreen.height = this.gridH;
       this.offCtx = this.offscreen.getContext('2d', { alpha: false });
@@ -249,35 +660,60 @@ class LatticeEmbed {
     if (elapsed < this.fpsInterval) return;
     this.lastTime = timestamp - (elapsed % this.fpsInterval);
 
-    if (this.running) {
-      this.sim.tick();
-    }
+    // A worker-backed sim answers asynchronously; don't queue ticks behind it
+    if (this.running && !this.restoring && !this.sim.pending) this.advance();
     this.draw();
   }
 
+  /** Per-tick bookkeeping on the new frame (runs when the worker's frame arrives, if any). */
+  afterTick() {
+    if (this.ages) {
+      const w = this.sim.get_width();
+      const h = this.sim.get_height();
+      this.ages.update(new Int32Array(this.wasmMemory.buffer, this.sim.get_cells_ptr(), w * h));
+    }
+    this.emit('tick', { tick: this.tick });
+    this.emit('measure', this.getMeasurements());
+  }
+
   draw() {
     const w = this.gridW;
     const h = this.gridH;
+    // After a resize the worker's frame can lag behind the new grid size
+    if (this.sim.get_width() !== w || this.sim.get_height() !== h) return;
     const ptr = this.sim.get_cells_ptr();
     const cells = new Int32Array(this.wasmMemory.buffer, ptr, w * h);
     const buf32 = new Uint32Array(this.imgData.data.buffer);
+    const mode = this.colorMode;
 
-    const BG = 0xFF050505;
-    const FG = 0xFFFFFFFF;
-
-    for (let i = 0; i < w * h; i++) {
-      buf32[i] = cells[i] === 1 ? FG : BG;
+    if (this.gl) {
+      // State colouring happens in the shader; tracker-based modes are precomputed here
+      if (this.ages) colorize(buf32, cells, this.colors, mode, this.ages);
+      this.gl.draw(cells, w, h, { pixels: this.ages ? buf32 : null });
+      return;
     }
 
+    colorize(buf32, cells, this.colors, mode, this.ages);
     this.offCtx.putImageData(this.imgData, 0, 0);
     this.ctx.imageSmoothingEnabled = false;
     this.ctx.drawImage(this.offscreen, 0, 0, this.canvas.width, this.canvas.height);
   }
 
   destroy() {
-    if (this.animId) cancelAnimationFrame(this.animId);
+    if (this.animId !== null) cancelAnimationFrame(this.animId);
     if (this.ro) this.ro.disconnect();
+    this.io.disconnect();
+    document.removeEventListener('visibilitychange', this.onVisibility);
+    this.reducedMotion.removeEventListener('change', this.onMotionPref);
+    if (this.playButton) this.playButton.remove();
+    if (this.controls) this.controls.destroy();
+    if (this.gl) this.gl.destroy();
     this.sim.free();
+    this.canvas.remove();
+    if (this.container.latticeEmbed === this) {
+      delete this.container.latticeEmbed;
+      delete this.container.lattice;
+    }
   }
 }
 
@@ -285,28 +721,76 @@ class LatticeEmbed {
 // Bootstrap
 // ---------------------------------------------------------------------------
 
-async function boot() {
-  const containers = document.querySelectorAll('.lattice-embed');
-  if (containers.length === 0) return;
+// Bindings are loaded once and shared by every embed on the page
+let bindingsPromise = null;
+
+function loadBindings() {
+  if (!bindingsPromise) {
+    bindingsPromise = (async () => {
+      // Discover WASM asset URLs (works with both trunk serve and make build)
+      const assets = await discoverAssets();
 
-  // Discover WASM asset URLs (works with both trunk serve and make build)
-  const { bindingsUrl, wasmUrl } = await discoverAssets();
+      // Dynamically import the bindings module
+      const bindings = await import(assets.bindingsUrl);
+      const wasm = await bindings.default({ module_or_path: assets.wasmUrl });
+
+      // The wasm memory object lives on the instantiated module
+      return { assets, bindings, wasmMemory: wasm.memory };
+    })();
+  }
+  return bindingsPromise;
+}
 
-  // Dynamically import the bindings module
-  const bindings = await import(bindingsUrl);
-  const wasm = await bindings.default({ module_or_path: wasmUrl });
+// Element -> Promise<LatticeEmbed> for embeds mounted or being mounted
+const mounts = new WeakMap();
 
-  // The wasm memory object lives on the instantiated module
-  const wasmMemory = wasm.memory;
+/**
+ * Mount an embed in `element` (any element; the .lattice-embed class is only
+ * needed for bootAll()). `config` is merged over the element's own inline
+ * JSON / data-* config and may use any config shape. Mounting an element
+ * again replaces its embed.
+ * @returns {Promise<LatticeEmbed>}
+ */
+export function createLatticeEmbed(element, config = null) {
+  const previous = mounts.get(element);
+  const mounted = (async () => {
+    if (previous) (await previous.catch(() => null))?.destroy();
+    const cfg = readConfig(element, config);
+    const { assets, bindings, wasmMemory } = await loadBindings();
+    let embed;
+    if (cfg.worker) {
+      const remote = await RemoteSimulation.create(
+        assets, 1, 1, { Simulation: bindings.Simulation, memory: wasmMemory });
+      embed = new LatticeEmbed(element, remote, remote.memory, cfg);
+    } else {
+      embed = new LatticeEmbed(element, bindings.Simulation.new(), wasmMemory, cfg);
+    }
+    await embed.ready;
+    embed.emit('ready', { lattice: element.lattice });
+    return embed;
+  })();
+  mounts.set(element, mounted);
+  return mounted;
+}
 
-  for (const el of containers) {
-    const cfg = readConfig(el);
+/**
+ * Mount every .lattice-embed under `root` that isn't mounted yet, and wire up
+ * any data-lattice-step elements (see scrolly.js).
+ * Runs automatically for the page when this module loads.
+ * @returns {Promise<LatticeEmbed[]>}
+ */
+export async function bootAll(root = document) {
+  bindScrollSteps(root);
+  const embeds = [];
+  for (const el of root.querySelectorAll('.lattice-embed')) {
+    if (mounts.has(el)) continue;
     try {
-      new LatticeEmbed(el, bindings.Simulation, wasmMemory, cfg);
+      embeds.push(await createLatticeEmbed(el));
     } catch (e) {
       console.error('lattice-embed: failed to init embed', el, e);
     }
   }
+  return embeds;
 }
 
-boot();
+bootAll();
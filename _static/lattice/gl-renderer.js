@@ -0,0 +1,185 @@
+// WebGL renderer for lattice frames.
+// The Int32Array of cells is uploaded as-is as an RGBA8 texture (one texel per
+// cell, little-endian, so +1 reads as r = 1/255 and -1 as r = 1.0); colouring,
+// the selection overlay and zoom all happen in the fragment shader.
+// Colour modes computed on the CPU (e.g. age) upload ready-made pixels instead.
+
+import { resolveTheme } from './themes.js';
+
+const VERTEX_SRC = `
+attribute vec2 a_pos;
+varying vec2 v_uv;
+void main() {
+    v_uv = vec2(a_pos.x * 0.5 + 0.5, 0.5 - a_pos.y * 0.5); // top-left origin, like the grid
+    gl_Position = vec4(a_pos, 0.0, 1.0);
+}
+`;
+
+// Cell lookup is done in float, so large lattices need highp: mediump's ~11-bit
+// mantissa stops resolving single cells past about 2048 per axis
+const FRAGMENT_SRC = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+uniform sampler2D u_cells;
+uniform sampler2D u_selection;
+uniform bool u_hasSelection;
+uniform bool u_prepared; // u_cells holds colours rather than cell values
+uniform vec2 u_grid;     // lattice size in cells
+uniform float u_zoom;    // 1 = whole lattice fills the canvas
+uniform vec2 u_offset;   // lattice cell at the top-left corner of the view
+uniform vec4 u_up;
+uniform vec4 u_down;
+uniform vec4 u_zero;
+uniform vec4 u_sel;
+uniform vec4 u_overlay;
+varying vec2 v_uv;
+
+void main() {
+    vec2 cell = floor(u_offset + v_uv * u_grid / u_zoom);
+    vec2 uv = fract((cell + 0.5) / u_grid); // periodic wrap when panned past the edge
+    vec4 texel = texture2D(u_cells, uv);
+    float r = texel.r * 255.0;
+    bool alive = !u_prepared && r > 0.5 && r < 1.5;
+    bool selected = u_hasSelection && texture2D(u_selection, uv).r > 0.5;
+
+    vec4 color;
+    if (u_prepared) color = texel;
+    else if (alive) color = u_up;
+    else if (selected) color = u_sel;
+    else color = r > 254.5 ? u_down : u_zero;
+    if (selected) color = vec4(mix(color.rgb, u_overlay.rgb, u_overlay.a), 1.0);
+    gl_FragColor = vec4(color.rgb, 1.0);
+}
+`;
+
+// 0xAABBGGRR (ImageData Uint32 layout) -> [r, g, b, a] in 0..1
+export function abgrToVec4(c) {
+    return [c & 0xFF, (c >>> 8) & 0xFF, (c >>> 16) & 0xFF, (c >>> 24) & 0xFF].map(v => v / 255);
+}
+
+function compile(gl, type, src) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, src);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(gl.getShaderInfoLog(shader));
+    }
+    return shader;
+}
+
+function makeTexture(gl) {
+    const tex = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return tex;
+}
+
+export class GLRenderer {
+    // Returns null when WebGL is unavailable so callers can fall back to 2D
+    static create(canvas) {
+        const gl = canvas.getContext('webgl', { alpha: false, antialias: false });
+        if (!gl) return null;
+        try {
+            return new GLRenderer(gl);
+        } catch (e) {
+            console.warn('WebGL renderer unavailable, falling back to 2D', e);
+            return null;
+        }
+    }
+
+    constructor(gl) {
+        this.gl = gl;
+        const program = gl.createProgram();
+        gl.attachShader(program, compile(gl, gl.VERTEX_SHADER, VERTEX_SRC));
+        gl.attachShader(program, compile(gl, gl.FRAGMENT_SHADER, FRAGMENT_SRC));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(gl.getProgramInfoLog(program));
+        }
+        this.program = program;
+        gl.useProgram(program);
+
+        const quad = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, quad);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+        const aPos = gl.getAttribLocation(program, 'a_pos');
+        gl.enableVertexAttribArray(aPos);
+        gl.vertexAttribPointer(aPos, 2, gl.FLOAT, false, 0, 0);
+
+        this.u = {};
+        for (const name of ['u_cells', 'u_selection', 'u_hasSelection', 'u_prepared', 'u_grid',
+            'u_zoom', 'u_offset', 'u_up', 'u_down', 'u_zero', 'u_sel', 'u_overlay']) {
+            this.u[name] = gl.getUniformLocation(program, name);
+        }
+
+        this.cellTex = makeTexture(gl);
+        this.selTex = makeTexture(gl);
+        gl.uniform1i(this.u.u_cells, 0);
+        gl.uniform1i(this.u.u_selection, 1);
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+
+        this.selection = null;
+        this.selectionSize = 0;
+        this.setColors(resolveTheme('dark'));
+    }
+
+    // Colours are the uint32 0xAABBGGRR values from resolveTheme(); overlay alpha is the blend amount
+    setColors({ up, down, zero, sel, overlay }) {
+        const gl = this.gl;
+        gl.useProgram(this.program);
+        gl.uniform4fv(this.u.u_up, abgrToVec4(up));
+        gl.uniform4fv(this.u.u_down, abgrToVec4(down));
+        gl.uniform4fv(this.u.u_zero, abgrToVec4(zero));
+        gl.uniform4fv(this.u.u_sel, abgrToVec4(sel));
+        gl.uniform4fv(this.u.u_overlay, abgrToVec4(overlay));
+    }
+
+    // cells: Int32Array view of the lattice
+    // opts.selection: Set of cell indices or null
+    // opts.view: { zoom, x, y } with x/y the top-left cell
+    // opts.pixels: Uint32Array of ready-made colours to show instead of cell values
+    draw(cells, width, height, { selection = null, view = { zoom: 1, x: 0, y: 0 }, pixels = null } = {}) {
+        const gl = this.gl;
+        gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+        gl.useProgram(this.program);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.cellTex);
+        const src = pixels || cells;
+        const bytes = new Uint8Array(src.buffer, src.byteOffset, width * height * 4);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, bytes);
+
+        // Selection mask is only re-uploaded when the selection object changes
+        if (selection && (selection !== this.selection || this.selectionSize !== width * height)) {
+            const mask = new Uint8Array(width * height);
+            for (const idx of selection) mask[idx] = 255;
+            gl.activeTexture(gl.TEXTURE1);
+            gl.bindTexture(gl.TEXTURE_2D, this.selTex);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.LUMINANCE, width, height, 0, gl.LUMINANCE, gl.UNSIGNED_BYTE, mask);
+            this.selectionSize = width * height;
+        }
+        this.selection = selection;
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, this.selTex);
+
+        gl.uniform1i(this.u.u_hasSelection, selection ? 1 : 0);
+        gl.uniform1i(this.u.u_prepared, pixels ? 1 : 0);
+        gl.uniform2f(this.u.u_grid, width, height);
+        gl.uniform1f(this.u.u_zoom, view.zoom);
+        gl.uniform2f(this.u.u_offset, view.x, view.y);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+
+    destroy() {
+        const gl = this.gl;
+        gl.deleteTexture(this.cellTex);
+        gl.deleteTexture(this.selTex);
+        gl.deleteProgram(this.program);
+    }
+}
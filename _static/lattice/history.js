@@ -3,64 +3,215 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { fitGrid } from './snapshot.js';
+import { neighbourOffsets, neighbourIndices } from './neighbourhoods.js';
+
+// Structures are connected through the same neighbourhood as the rule (see neighbourhoods.js)
+const MOORE = neighbourOffsets('moore');
+
+// Frames are stored bit-packed (1 = up / alive, anything else = down / dead,
+// as in snapshot.js), 32 cells per word. With `delta` on, every frame but the
+// newest is kept as the words that changed on the way to the frame after it
+// (an XOR delta), which is small whenever the lattice is mostly still. A full
+// keyframe every `keyframeInterval` frames bounds how many deltas a random
+// read has to undo; reading backwards in order (traceBackward) costs one
+// delta per frame.
+function packBits(cells, size) {
+    const bits = new Uint32Array((size + 31) >>> 5);
+    for (let i = 0; i < size; i++) {
+        if (cells[i] === 1) bits[i >>> 5] |= 1 << (i & 31);
+    }
+    return bits;
+}
+
+function unpackBits(bits, size) {
+    const frame = new Int8Array(size);
+    for (let i = 0; i < size; i++) {
+        frame[i] = (bits[i >>> 5] >>> (i & 31)) & 1 ? 1 : -1;
+    }
+    return frame;
+}
+
+// `older` as the words that differ from `newer`, or as itself when a delta
+// wouldn't be smaller (each changed word costs an index and a value)
+function xorDelta(older, newer) {
+    let changed = 0;
+    for (let i = 0; i < older.length; i++) {
+        if (older[i] !== newer[i]) changed++;
+    }
+    if (changed * 2 >= older.length) return { bits: older };
+    const at = new Uint32Array(changed);
+    const xor = new Uint32Array(changed);
+    for (let i = 0, k = 0; i < older.length; i++) {
+        if (older[i] !== newer[i]) {
+            at[k] = i;
+            xor[k++] = older[i] ^ newer[i];
+        }
+    }
+    return { at, xor };
+}
+
+const slotBytes = (slot) => slot ? (slot.bits ? slot.bits.byteLength : slot.at.byteLength + slot.xor.byteLength) : 0;
 
 export class RollingBuffer {
-    constructor(capacity, width, height) {
+    // firstTick: the tick number of the first frame pushed, so getTick() can
+    // report ticks of the run rather than of the buffer
+    constructor(capacity, width, height, { delta = true, keyframeInterval = 64, firstTick = 0 } = {}) {
         this.capacity = capacity;
         this.width = width;
         this.height = height;
         this.size = width * height;
-        this.frames = new Array(capacity).fill(null);
+        this.delta = delta;
+        this.keyframeInterval = keyframeInterval;
+        this.frames = new Array(capacity).fill(null); // { bits } or { at, xor }
         this.head = 0;
         this.count = 0; // Number of frames currently in buffer
-        this.totalTicks = 0; // Total frames processed (for absolute tick mapping)
+        this.totalTicks = firstTick; // Total frames processed (for absolute tick mapping)
+        this.bytes = 0; // Storage held by the frames
+        this.cursor = null; // last decoded frame { offset, bits }, for reading backwards in order
     }
 
     push(statePtr, moduleMemory) {
-        // Copy data from WebAssembly memory
-        // statePtr is a pointer to i32 array.
-        // We only care about -1, 0, 1. Int8Array is sufficient.
-
-        // Create a view on the Wasm memory for the cells
+        // statePtr is a pointer to the i32 cells in WebAssembly memory
         const wasmCells = new Int32Array(moduleMemory.buffer, statePtr, this.size);
+        this.append(packBits(wasmCells, this.size), this.totalTicks);
+        this.totalTicks++;
+    }
 
-        // Copy to our buffer (compress to Int8 to save space?)
-        // Yes, Int8Array is sufficient for -1/1 values.
-        const frame = new Int8Array(this.size);
-        for (let i = 0; i < this.size; i++) {
-            frame[i] = wasmCells[i];
+    // Store packed bits as the newest frame; `index` is its absolute frame number
+    append(bits, index) {
+        // The current newest frame becomes a delta against this one, unless it's a keyframe
+        if (this.delta && this.count > 0 && (index - 1) % this.keyframeInterval !== 0) {
+            const prev = (this.head - 1 + this.capacity) % this.capacity;
+            this.bytes -= slotBytes(this.frames[prev]);
+            this.frames[prev] = xorDelta(this.frames[prev].bits, bits);
+            this.bytes += slotBytes(this.frames[prev]);
         }
-
-        this.frames[this.head] = frame;
+        this.bytes -= slotBytes(this.frames[this.head]);
+        this.frames[this.head] = { bits };
+        this.bytes += bits.byteLength;
         this.head = (this.head + 1) % this.capacity;
         if (this.count < this.capacity) {
             this.count++;
         }
-        this.totalTicks++;
+        this.cursor = null;
     }
 
-    // Get frame relative to current HEAD (0 = latest pushed, -1 = previous, etc.)
-    getFrame(offset) {
-        if (offset > 0 || offset <= -this.count) return null;
+    slot(offset) {
+        // head points to *next* write position, so the latest frame is head - 1
+        return this.frames[((this.head - 1 + offset) % this.capacity + this.capacity) % this.capacity];
+    }
 
-        // head points to *next* write position.
-        // So latest frame is head - 1.
-        let index = (this.head - 1 + offset);
+    // Packed bits of the frame at `offset`; owned by the buffer, don't modify
+    getBits(offset) {
+        if (offset > 0 || offset <= -this.count) return null;
 
-        // Handle wrapping
-        while (index < 0) index += this.capacity;
-        index = index % this.capacity;
+        // Start from the nearest full frame at or after `offset`, or from the
+        // last frame read if that is nearer, and undo deltas back to `offset`
+        let from = offset;
+        while (!this.slot(from).bits) from++;
+        let bits;
+        if (this.cursor && this.cursor.offset >= offset && this.cursor.offset < from) {
+            from = this.cursor.offset;
+            bits = this.cursor.bits;
+        } else {
+            bits = this.slot(from).bits.slice();
+        }
+        for (let k = from - 1; k >= offset; k--) {
+            const slot = this.slot(k);
+            if (slot.bits) {
+                bits.set(slot.bits);
+                continue;
+            }
+            for (let i = 0; i < slot.at.length; i++) bits[slot.at[i]] ^= slot.xor[i];
+        }
+        this.cursor = { offset, bits };
+        return bits;
+    }
 
-        return this.frames[index];
+    // Get frame relative to current HEAD (0 = latest pushed, -1 = previous, etc.)
+    // as an Int8Array of +1 / -1
+    getFrame(offset) {
+        const bits = this.getBits(offset);
+        return bits && unpackBits(bits, this.size);
     }
 
     getTick(offset) {
         return this.totalTicks - 1 + offset;
     }
+
+    // Decode every frame, pass it through map(frame) and store it again,
+    // at a new size if given
+    rebuild(map = (frame) => frame, width = this.width, height = this.height) {
+        const size = width * height;
+        const packed = [];
+        for (let offset = 0; offset > -this.count; offset--) {
+            packed.push(packBits(map(this.getFrame(offset)), size));
+        }
+        this.width = width;
+        this.height = height;
+        this.size = size;
+        this.frames = new Array(this.capacity).fill(null);
+        this.head = 0;
+        this.count = 0;
+        this.bytes = 0;
+        for (let k = packed.length - 1; k >= 0; k--) {
+            this.append(packed[k], this.totalTicks - 1 - k);
+        }
+    }
+
+    // Drop the frames newer than `offset`, which becomes the newest (0), as
+    // when the run resumes from there
+    truncate(offset) {
+        if (offset >= 0 || offset <= -this.count) return;
+        const bits = this.getBits(offset).slice();
+        for (let k = offset; k < 0; k++) {
+            this.head = (this.head - 1 + this.capacity) % this.capacity;
+            this.bytes -= slotBytes(this.frames[this.head]);
+            this.frames[this.head] = null;
+        }
+        // Its delta pointed at a frame that is gone
+        const newest = (this.head - 1 + this.capacity) % this.capacity;
+        this.bytes += bits.byteLength - slotBytes(this.frames[newest]);
+        this.frames[newest] = { bits };
+        this.count += offset;
+        this.totalTicks += offset;
+        this.cursor = null;
+    }
+
+    // Keep the newest `capacity` frames
+    setCapacity(capacity) {
+        if (capacity === this.capacity) return;
+        const keep = Math.min(capacity, this.count);
+        const kept = [];
+        for (let offset = -keep + 1; offset <= 0; offset++) kept.push(this.slot(offset));
+        this.frames = new Array(capacity).fill(null);
+        kept.forEach((slot, i) => { this.frames[i] = slot; });
+        this.capacity = capacity;
+        this.count = keep;
+        this.head = keep % capacity;
+        this.bytes = kept.reduce((sum, slot) => sum + slotBytes(slot), 0);
+        this.cursor = null;
+    }
+
+    // Switch delta storage on or off, re-encoding what is stored
+    setDelta(delta) {
+        if (delta === this.delta) return;
+        this.delta = delta;
+        this.rebuild();
+    }
+
+    // Follow the lattice to a new size: every stored frame is cropped or
+    // padded the same way as the live grid (see fitGrid), so history survives
+    resize(width, height, anchor = 'center') {
+        if (width === this.width && height === this.height) return;
+        const { width: w0, height: h0 } = this;
+        this.rebuild((frame) => fitGrid(frame, w0, h0, width, height, anchor), width, height);
+    }
 }
 
 // Flood fill to find connected component
-function getConnectedComponent(frame, startIdx, width, height) {
+function getConnectedComponent(frame, startIdx, width, height, offsets = MOORE) {
     const visited = new Set();
     const stack = [startIdx];
     const component = new Set();
@@ -83,62 +234,34 @@ function getConnectedComponent(frame, startIdx, width, height) {
 
     while (stack.length > 0) {
         const idx = stack.pop();
-        const x = idx % width;
-        const y = Math.floor(idx / width);
-
-        // Neighbors (von Neumann or Moore? Lib uses Moore usually. History.md example suggests 4 or 8)
-        // Let's use 8-way (Moore) to match Simulation default
-
-        const wrapX = (v) => (v + width) % width;
-        const wrapY = (v) => (v + height) % height;
-
-        // 8 Neighbors
-        for (let dy = -1; dy <= 1; dy++) {
-            for (let dx = -1; dx <= 1; dx++) {
-                if (dx === 0 && dy === 0) continue;
-                const nx = wrapX(x + dx);
-                const ny = wrapY(y + dy);
-                const nIdx = ny * width + nx;
-                checkNeighbor(nIdx);
-            }
+        for (const nIdx of neighbourIndices(idx, width, height, offsets)) {
+            checkNeighbor(nIdx);
         }
     }
     return component;
 }
 
 // Find neighbors of a set of cells (boundary of the blob)
-function getNeighborsOfSet(cellIndices, width, height) {
+function getNeighborsOfSet(cellIndices, width, height, offsets = MOORE) {
     const neighbors = new Set();
-    const wrapX = (v) => (v + width) % width;
-    const wrapY = (v) => (v + height) % height;
-
     for (const idx of cellIndices) {
-        const x = idx % width;
-        const y = Math.floor(idx / width);
-
-        for (let dy = -1; dy <= 1; dy++) {
-            for (let dx = -1; dx <= 1; dx++) {
-                if (dx === 0 && dy === 0) continue;
-                const nx = wrapX(x + dx);
-                const ny = wrapY(y + dy);
-                neighbors.add(ny * width + nx);
-            }
+        for (const nIdx of neighbourIndices(idx, width, height, offsets)) {
+            neighbors.add(nIdx);
         }
     }
     return neighbors;
 }
 
-export function traceBackward(buffer, currentBlob, width, height, maxFrames = 200) {
+// start: buffer offset of the frame the blob was picked in (0 = newest)
+export function traceBackward(buffer, currentBlob, width, height, maxFrames = 200, offsets = MOORE, start = 0) {
     const result = {
-        frames: new Map(), // tick -> Set(indices)
-        splits: [],
-        merges: []
+        frames: new Map() // tick -> Set(indices)
     };
 
     let activeBlob = new Set(currentBlob);
 
-    // Start from offset 0 (current frame) back to -maxFrames
-    for (let offset = 0; offset >= -maxFrames; offset--) {
+    // Start from offset `start` (current frame) back maxFrames more
+    for (let offset = start; offset >= start - maxFrames; offset--) {
         const frame = buffer.getFrame(offset);
         if (!frame) break;
 
@@ -153,7 +276,7 @@ export function traceBackward(buffer, currentBlob, width, height, maxFrames = 20
         // This implies we look at frame N-1 cells. Which ones?
         // The ones that *spatially overlap* with the blob at N, OR are adjacent to it.
 
-        const candidateIndices = new Set([...activeBlob, ...getNeighborsOfSet(activeBlob, width, height)]);
+        const candidateIndices = new Set([...activeBlob, ...getNeighborsOfSet(activeBlob, width, height, offsets)]);
         const ancestors = new Set();
 
         for (const idx of candidateIndices) {
@@ -174,7 +297,7 @@ export function traceBackward(buffer, currentBlob, width, height, maxFrames = 20
 
         for (const idx of ancestors) {
             if (!visited.has(idx)) {
-                const component = getConnectedComponent(frame, idx, width, height);
+                const component = getConnectedComponent(frame, idx, width, height, offsets);
                 for (const c of component) {
                     fullAncestorBlob.add(c);
                     visited.add(c);
@@ -189,7 +312,12 @@ export function traceBackward(buffer, currentBlob, width, height, maxFrames = 20
     return result;
 }
 
-export function traceForward(simulation, currentBlob, maxFrames, stopOnExpanded = 0.5) {
+// options.offsets: tracker neighbourhood; options.advance(sim): one tick of the
+// clone, for rules the engine doesn't run itself (see tickWithLife).
+// options.buffer / options.start: a blob picked in a past frame (buffer offset
+// start < 0) follows the recorded frames up to the newest, then the clone.
+export function traceForward(simulation, currentBlob, maxFrames, stopOnExpanded = 0.5,
+    { offsets = MOORE, advance = (sim) => sim.tick(), buffer = null, start = 0 } = {}) {
     const width = simulation.get_width();
     const height = simulation.get_height();
     const result = {
@@ -202,21 +330,26 @@ export function traceForward(simulation, currentBlob, maxFrames, stopOnExpanded
     let activeBlob = new Set(currentBlob);
 
     for (let i = 1; i <= maxFrames; i++) {
-        simClone.tick();
-        const cellsPtr = simClone.get_cells_ptr();
-        // Access memory directly
-        // Note: tricky to get memory buffer if we don't have reference to 'memory' object here.
-        // We might need memory passed in or access it via wasm instance if possible.
-        // Provided 'simulation' is the binding class. 
-        // We might need to assume we can read `simulation.memory` or passes it in.
-        // Actually, `simulation.get_cells_ptr` returns a number. We need the WASM memory buffer.
-        // We will assume `wasmMemory` is passed or available globally for now? 
-        // Or we pass `moduleMemory` to this function.
-        // Use Global `wasmMemory` for now, assuming index.html sets it.
-
-        const cells = new Int32Array(window.wasmMemory.buffer, cellsPtr, width * height);
-
-        const candidateIndices = new Set([...activeBlob, ...getNeighborsOfSet(activeBlob, width, height)]);
+        let cells;
+        if (buffer && start + i <= 0) {
+            cells = buffer.getFrame(start + i);
+        } else {
+            advance(simClone);
+            const cellsPtr = simClone.get_cells_ptr();
+            // Access memory directly
+            // Note: tricky to get memory buffer if we don't have reference to 'memory' object here.
+            // We might need memory passed in or access it via wasm instance if possible.
+            // Provided 'simulation' is the binding class. 
+            // We might need to assume we can read `simulation.memory` or passes it in.
+            // Actually, `simulation.get_cells_ptr` returns a number. We need the WASM memory buffer.
+            // We will assume `wasmMemory` is passed or available globally for now? 
+            // Or we pass `moduleMemory` to this function.
+            // Use Global `wasmMemory` for now, assuming index.html sets it.
+
+            cells = new Int32Array(window.wasmMemory.buffer, cellsPtr, width * height);
+        }
+
+        const candidateIndices = new Set([...activeBlob, ...getNeighborsOfSet(activeBlob, width, height, offsets)]);
         const descendants = new Set();
 
         for (const idx of candidateIndices) {
@@ -232,7 +365,7 @@ export function traceForward(simulation, currentBlob, maxFrames, stopOnExpanded
         for (const idx of descendants) {
             if (!visited.has(idx)) {
                 // Warning: getConnectedComponent expects simple array, Int32Array works too
-                const component = getConnectedComponent(cells, idx, width, height);
+                const component = getConnectedComponent(cells, idx, width, height, offsets);
                 for (const c of component) {
                     fullDescendantBlob.add(c);
                     visited.add(c);
@@ -249,8 +382,209 @@ export function traceForward(simulation, currentBlob, maxFrames, stopOnExpanded
     return result;
 }
 
+// --- Genealogy ---
+// A traced region falls apart into connected components at every tick. A
+// component is linked to one a tick later when they overlap or touch (the
+// rule the traces follow), so the links form a DAG: a component with two or
+// more children split, one with two or more parents is a merge.
+
+// Connected components of a set of cells
+function componentsOf(cells, width, height, offsets) {
+    const seen = new Set();
+    const out = [];
+    for (const start of cells) {
+        if (seen.has(start)) continue;
+        const component = new Set([start]);
+        const stack = [start];
+        seen.add(start);
+        while (stack.length > 0) {
+            const idx = stack.pop();
+            for (const n of neighbourIndices(idx, width, height, offsets)) {
+                if (cells.has(n) && !seen.has(n)) {
+                    seen.add(n);
+                    component.add(n);
+                    stack.push(n);
+                }
+            }
+        }
+        out.push(component);
+    }
+    return out;
+}
+
+// frames: [tick, Set(cells)] in time order. Nodes are
+// { id, tick, cells, size, x, parents, children, lineages }; a split is
+// { tick, parent, children } and a merge { tick, parents, child }, with
+// `tick` the later frame's.
+function linkFrames(frames, width, height, offsets) {
+    const nodes = [];
+    const splits = [];
+    const merges = [];
+    let previous = [];
+    let previousTick = null;
+    for (const [tick, cells] of frames) {
+        const current = componentsOf(cells, width, height, offsets).map((component) => {
+            let sumX = 0;
+            for (const idx of component) sumX += idx % width;
+            const node = {
+                id: nodes.length, tick, cells: component, size: component.size, x: sumX / component.size,
+                parents: [], children: [], lineages: new Set(),
+            };
+            nodes.push(node);
+            return node;
+        });
+        if (previousTick !== null && Math.abs(tick - previousTick) === 1) {
+            // Earlier cells and their neighbourhoods -> the earlier components reaching them
+            const reach = new Map();
+            for (const node of previous) {
+                for (const idx of [...node.cells, ...getNeighborsOfSet(node.cells, width, height, offsets)]) {
+                    if (!reach.has(idx)) reach.set(idx, new Set());
+                    reach.get(idx).add(node);
+                }
+            }
+            for (const node of current) {
+                const parents = new Set();
+                for (const idx of node.cells) {
+                    for (const parent of reach.get(idx) ?? []) parents.add(parent);
+                }
+                for (const parent of parents) {
+                    parent.children.push(node);
+                    node.parents.push(parent);
+                }
+            }
+            for (const node of previous) {
+                if (node.children.length > 1) splits.push({ tick, parent: node, children: node.children });
+            }
+            for (const node of current) {
+                if (node.parents.length > 1) merges.push({ tick, parents: node.parents, child: node });
+            }
+        }
+        previous = current;
+        previousTick = tick;
+    }
+    return { nodes, splits, merges };
+}
+
+/**
+ * The component DAG of a backward + forward trace of several picked blobs.
+ * Forward ticks count on from the backward trace's newest tick (`now`).
+ * seeds: the picked blobs as Sets of cells in that frame; every node's
+ * `lineages` holds the indices of the seeds it descends from or leads to,
+ * so a node with exactly one belongs to that blob's lineage.
+ * -> { now, nodes, splits, merges }
+ */
+export function buildGenealogy(backward, forward, seeds, width, height, offsets = MOORE) {
+    const past = [...backward.frames].filter(([, cells]) => cells.size > 0).sort((a, b) => a[0] - b[0]);
+    // Nothing buffered yet: the picked blobs are the whole past
+    if (past.length === 0) past.push([0, new Set(seeds.flatMap(seed => [...seed]))]);
+    const now = past[past.length - 1][0];
+    const future = [...forward.frames].map(([rel, cells]) => [now + rel, cells]);
+    const genealogy = { now, ...linkFrames([...past, ...future], width, height, offsets) };
+
+    // Lineages spread from the seeds: back through parents, on through children
+    const byTick = [...genealogy.nodes].sort((a, b) => a.tick - b.tick);
+    for (const node of byTick) {
+        if (node.tick !== now) continue;
+        seeds.forEach((seed, k) => {
+            for (const idx of node.cells) {
+                if (seed.has(idx)) {
+                    node.lineages.add(k);
+                    break;
+                }
+            }
+        });
+    }
+    for (let i = byTick.length - 1; i >= 0; i--) {
+        const node = byTick[i];
+        if (node.tick >= now) continue;
+        for (const child of node.children) for (const k of child.lineages) node.lineages.add(k);
+    }
+    for (const node of byTick) {
+        if (node.tick <= now) continue;
+        for (const parent of node.parents) for (const k of parent.lineages) node.lineages.add(k);
+    }
+    return genealogy;
+}
+
+// Hue of lineage k, spread by the golden ratio so neighbours differ
+export function lineageHue(k) {
+    return (k * 0.618034) % 1;
+}
+
+// CSS colour of a genealogy node: its lineage's hue, or grey when it is
+// shared by several lineages (or none)
+export function nodeColor(node, lightness = 0.6) {
+    if (node.lineages.size !== 1) return `hsl(0, 0%, ${Math.round(lightness * 100)}%)`;
+    const [k] = node.lineages;
+    return `hsl(${Math.round(lineageHue(k) * 360)}, 85%, ${Math.round(lightness * 100)}%)`;
+}
+
+/**
+ * Draw the genealogy as a DAG: time runs down the canvas, each component
+ * sits at its mean column (so the graph reads like a projection of the
+ * lattice), splits are ringed at the parent and merges at the child.
+ */
+export function drawGenealogy(ctx, genealogy, width) {
+    const { width: W, height: H } = ctx.canvas;
+    ctx.fillStyle = '#161616';
+    ctx.fillRect(0, 0, W, H);
+    const { nodes, now } = genealogy;
+    if (nodes.length === 0) return;
+
+    const pad = 16;
+    let first = Infinity;
+    let last = -Infinity;
+    for (const node of nodes) {
+        if (node.tick < first) first = node.tick;
+        if (node.tick > last) last = node.tick;
+    }
+    const span = Math.max(1, last - first);
+    const px = (node) => pad + (node.x + 0.5) / width * (W - 2 * pad);
+    const py = (tick) => pad + (tick - first) / span * (H - 2 * pad);
+
+    // "Now": the frame the blobs were picked in
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(0, py(now));
+    ctx.lineTo(W, py(now));
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = '#888';
+    ctx.font = '10px sans-serif';
+    ctx.fillText(`t=${first}`, 4, 10);
+    ctx.fillText(`t=${last}`, 4, H - 4);
+    ctx.fillText('now', W - 24, py(now) - 3);
+
+    ctx.lineWidth = 1;
+    for (const node of nodes) {
+        for (const child of node.children) {
+            ctx.strokeStyle = nodeColor(child, 0.45);
+            ctx.beginPath();
+            ctx.moveTo(px(node), py(node.tick));
+            ctx.lineTo(px(child), py(child.tick));
+            ctx.stroke();
+        }
+    }
+    for (const node of nodes) {
+        const r = Math.min(6, 1.5 + Math.log2(node.size) / 2);
+        ctx.fillStyle = nodeColor(node);
+        ctx.beginPath();
+        ctx.arc(px(node), py(node.tick), r, 0, Math.PI * 2);
+        ctx.fill();
+        if (node.children.length > 1 || node.parents.length > 1) {
+            ctx.strokeStyle = '#fff';
+            ctx.beginPath();
+            ctx.arc(px(node), py(node.tick), r + 2, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+}
+
 // 3D Visualization
-export function renderSpacetimeStructure(backwardTrace, forwardTrace, width, height, maxVoxels = 20000) {
+// genealogy (optional, from buildGenealogy): colour voxels by lineage rather
+// than past / future
+export function renderSpacetimeStructure(backwardTrace, forwardTrace, width, height, maxVoxels = 20000, genealogy = null) {
     const group = new THREE.Group();
 
     const geometry = new THREE.BoxGeometry(1, 1, 1);
@@ -297,15 +631,42 @@ export function renderSpacetimeStructure(backwardTrace, forwardTrace, width, hei
         }
     };
 
+    if (genealogy) {
+        // Lineage hue, lighter towards now; shared components stay grey.
+        // Nearest ticks first, so the voxel cap trims the far past and future
+        const distance = (node) => Math.abs(node.tick - genealogy.now);
+        const nearestFirst = [...genealogy.nodes].sort((a, b) =>
+            distance(a) - distance(b) || b.tick - a.tick);
+        for (const node of nearestFirst) {
+            if (voxelCount >= maxVoxels) break;
+            const offset = node.tick - genealogy.now;
+            const lightness = 0.3 + 0.4 * (1 - Math.min(1, Math.abs(offset) / 200));
+            if (node.lineages.size === 1) {
+                const [k] = node.lineages;
+                color.setHSL(lineageHue(k), 0.85, lightness);
+            } else {
+                color.setHSL(0, 0, lightness);
+            }
+            for (const idx of node.cells) {
+                if (voxelCount >= maxVoxels) break;
+                dummy.position.set(idx % width - width / 2, -Math.floor(idx / width) + height / 2, offset);
+                dummy.updateMatrix();
+                matrices.push(dummy.matrix.clone());
+                colors.push(color.clone());
+                voxelCount++;
+            }
+        }
+    }
+
     // Backward (Past)
-    for (const [tick, cells] of backwardTrace.frames) {
+    for (const [tick, cells] of genealogy ? [] : backwardTrace.frames) {
         if (voxelCount >= maxVoxels) break;
         const offset = tick - maxTick;
         processFrame(cells, offset, true);
     }
 
     // Forward (Future)
-    for (const [relTick, cells] of forwardTrace.frames) {
+    for (const [relTick, cells] of genealogy ? [] : forwardTrace.frames) {
         if (voxelCount >= maxVoxels) break;
         processFrame(cells, relTick, false);
     }
@@ -0,0 +1,144 @@
+// Rolling time series of Simulation.get_measurements() plus derived
+// fluctuation quantities (susceptibility, specific heat).
+
+export const OBSERVABLES = [
+    { key: 'density', label: 'Dens', color: '#3a86ff' },
+    { key: 'mag', label: 'Mag', color: '#ffbe0b' },
+    { key: 'energy', label: 'Energy', color: '#ff006e' },
+];
+
+export class MeasurementSeries {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.ticks = new Float64Array(capacity);
+        this.values = OBSERVABLES.map(() => new Float64Array(capacity));
+        this.head = 0;
+        this.count = 0;
+        this.totalTicks = 0;
+    }
+
+    // m is the Float64Array [density, magnetisation, energy] from get_measurements()
+    push(m) {
+        this.ticks[this.head] = this.totalTicks;
+        for (let k = 0; k < this.values.length; k++) {
+            this.values[k][this.head] = m[k];
+        }
+        this.head = (this.head + 1) % this.capacity;
+        if (this.count < this.capacity) {
+            this.count++;
+        }
+        this.totalTicks++;
+    }
+
+    clear() {
+        this.head = 0;
+        this.count = 0;
+    }
+
+    // Ring index of the i-th stored sample, 0 = oldest
+    index(i) {
+        return (this.head - this.count + i + this.capacity) % this.capacity;
+    }
+
+    // Copy of the stored samples for one observable, oldest first
+    series(k, last = this.count) {
+        const n = Math.min(last, this.count);
+        const out = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            out[i] = this.values[k][this.index(this.count - n + i)];
+        }
+        return out;
+    }
+
+    // Fluctuation estimates over the last `window` samples.
+    // numCells is the lattice size N and temperature the current T (k_B = 1).
+    // The engine reports energy per spin summed over all 8 neighbours, which
+    // counts every bond twice, so it is halved before taking the variance.
+    windowStats(window, numCells, temperature) {
+        const n = Math.min(window, this.count);
+        if (n < 2) return null;
+
+        let sumAbsM = 0, sumM2 = 0, sumE = 0, sumE2 = 0;
+        for (let i = this.count - n; i < this.count; i++) {
+            const idx = this.index(i);
+            const m = this.values[1][idx];
+            const e = this.values[2][idx] / 2;
+            sumAbsM += Math.abs(m);
+            sumM2 += m * m;
+            sumE += e;
+            sumE2 += e * e;
+        }
+
+        const meanAbsM = sumAbsM / n;
+        const meanE = sumE / n;
+        const varM = Math.max(0, sumM2 / n - meanAbsM * meanAbsM);
+        const varE = Math.max(0, sumE2 / n - meanE * meanE);
+
+        return {
+            samples: n,
+            meanAbsM,
+            meanE,
+            susceptibility: numCells * varM / temperature,
+            specificHeat: numCells * varE / (temperature * temperature),
+        };
+    }
+
+    toCSV() {
+        const header = ['tick', ...OBSERVABLES.map(o => o.key)].join(',');
+        const rows = [header];
+        for (let i = 0; i < this.count; i++) {
+            const idx = this.index(i);
+            rows.push([this.ticks[idx], ...this.values.map(v => v[idx])].join(','));
+        }
+        return rows.join('\n');
+    }
+}
+
+// Draw each observable in its own horizontal band, auto-scaled to its range
+export function drawSeries(ctx, series, last) {
+    const w = ctx.canvas.width;
+    const h = ctx.canvas.height;
+    const band = h / OBSERVABLES.length;
+
+    ctx.fillStyle = '#111';
+    ctx.fillRect(0, 0, w, h);
+    ctx.font = '10px sans-serif';
+    ctx.textBaseline = 'top';
+
+    OBSERVABLES.forEach((obs, k) => {
+        const data = series.series(k, last);
+        const top = k * band;
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+        ctx.beginPath();
+        ctx.moveTo(0, top + band - 0.5);
+        ctx.lineTo(w, top + band - 0.5);
+        ctx.stroke();
+
+        if (data.length < 2) return;
+
+        let min = Infinity, max = -Infinity;
+        for (const v of data) {
+            if (v < min) min = v;
+            if (v > max) max = v;
+        }
+        const span = max - min || 1;
+
+        ctx.strokeStyle = obs.color;
+        ctx.beginPath();
+        for (let i = 0; i < data.length; i++) {
+            const x = w - ((data.length - 1 - i) / (last - 1)) * w; // newest sample on the right
+            const y = top + 2 + (1 - (data[i] - min) / span) * (band - 4);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+
+        ctx.fillStyle = obs.color;
+        ctx.fillText(`${obs.label} ${data[data.length - 1].toFixed(3)}`, 4, top + 2);
+        ctx.fillStyle = '#666';
+        ctx.textAlign = 'right';
+        ctx.fillText(`${min.toFixed(2)} – ${max.toFixed(2)}`, w - 4, top + 2);
+        ctx.textAlign = 'left';
+    });
+}
@@ -0,0 +1,171 @@
+// Neighbourhoods for Life-like rules and the structure tracker.
+// The WASM engine counts the 8-cell Moore neighbourhood only, so a rule over
+// any other neighbourhood is stepped here (stepLife) and written back into the
+// lattice; the engine still runs the Ising part, drift and measurements.
+//
+// A neighbourhood is a list of [dx, dy] offsets on the square lattice:
+//   von-neumann  the 4 edge neighbours
+//   moore        the 8 surrounding cells (the engine's own)
+//   hex          6 neighbours of a hexagonal lattice in axial coordinates,
+//                i.e. each row sheared half a cell against the one above
+//   ltl          Larger than Life: the (2r+1)^2 - 1 box of radius r
+// Edges follow the lattice's boundaries as the engine reads them for Moore
+// (see padGrid); the structure tracker's offsets always wrap.
+
+import { writeGrid } from './paint.js';
+
+export const NEIGHBOURHOODS = {
+    'von-neumann': 'von Neumann (4)',
+    moore: 'Moore (8)',
+    hex: 'Hexagonal (6)',
+    ltl: 'Larger than Life (radius r)',
+};
+
+export function neighbourOffsets(name = 'moore', radius = 1) {
+    switch (name) {
+        case 'von-neumann':
+            return [[0, -1], [-1, 0], [1, 0], [0, 1]];
+        case 'hex':
+            return [[0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1]];
+        case 'moore':
+        case 'ltl': {
+            const r = name === 'moore' ? 1 : radius;
+            const out = [];
+            for (let dy = -r; dy <= r; dy++) {
+                for (let dx = -r; dx <= r; dx++) {
+                    if (dx !== 0 || dy !== 0) out.push([dx, dy]);
+                }
+            }
+            return out;
+        }
+        default:
+            throw new Error(`lattice: unknown neighbourhood "${name}"`);
+    }
+}
+
+// Largest possible neighbour count
+export function neighbourCount(name = 'moore', radius = 1) {
+    return neighbourOffsets(name, radius).length;
+}
+
+// Indices of the cells around `idx`
+export function neighbourIndices(idx, width, height, offsets) {
+    const x = idx % width;
+    const y = (idx - x) / width;
+    return offsets.map(([dx, dy]) =>
+        ((y + dy + height) % height) * width + ((x + dx + width) % width));
+}
+
+export const PERIODIC_EDGES = { top: 'periodic', bottom: 'periodic', left: 'periodic', right: 'periodic', fixedValue: 1 };
+
+// A Life-like rule over a neighbourhood, ready for stepLife().
+// edges: the lattice boundaries, { top, bottom, left, right } as 'periodic' |
+// 'fixed' | 'reflect' | 'absorbing', plus fixedValue (+1 or -1)
+export function makeLife(name, radius, birth, survival, edges = PERIODIC_EDGES) {
+    const offsets = neighbourOffsets(name, radius);
+    const born = new Uint8Array(offsets.length + 1);
+    const stays = new Uint8Array(offsets.length + 1);
+    for (const n of birth) if (n <= offsets.length) born[n] = 1;
+    for (const n of survival) if (n <= offsets.length) stays[n] = 1;
+    return { name, radius: name === 'ltl' ? radius : 1, offsets, born, stays, edges: { ...PERIODIC_EDGES, ...edges } };
+}
+
+// Where coordinate v (of n) reads from past an edge: an in-range index, or
+// { value } for an edge that supplies its own cells. Reflect mirrors about the
+// edge itself (-1 reads 0), as the engine does.
+function edgeCoord(v, n, low, high, fixedValue) {
+    if (v >= 0 && v < n) return v;
+    const rule = v < 0 ? low : high;
+    if (rule === 'fixed') return { value: fixedValue === 1 ? 1 : 0 };
+    if (rule === 'absorbing') return { value: 0 };
+    if (rule === 'reflect') return Math.max(0, Math.min(n - 1, v < 0 ? -1 - v : 2 * n - 1 - v));
+    return ((v % n) + n) % n;
+}
+
+// The alive grid with `pad` cells around it filled in from the edges. Like the
+// engine, a cell past the top or bottom takes that edge's rule first and only
+// then the left or right one, which settles the corners.
+function padGrid(alive, width, height, pad, edges) {
+    const pw = width + 2 * pad;
+    const out = new Uint8Array(pw * (height + 2 * pad));
+    for (let py = 0; py < height + 2 * pad; py++) {
+        const y = edgeCoord(py - pad, height, edges.top, edges.bottom, edges.fixedValue);
+        for (let px = 0; px < pw; px++) {
+            if (typeof y === 'object') {
+                out[py * pw + px] = y.value;
+                continue;
+            }
+            const x = edgeCoord(px - pad, width, edges.left, edges.right, edges.fixedValue);
+            out[py * pw + px] = typeof x === 'object' ? x.value : alive[y * width + x];
+        }
+    }
+    return out;
+}
+
+// Live neighbours of every cell. Boxes (ltl) use a summed-area table, so any
+// radius costs the same; the small neighbourhoods just visit their offsets.
+function countNeighbours(alive, width, height, life) {
+    const counts = new Int32Array(width * height);
+    const pad = life.radius;
+    const pw = width + 2 * pad;
+    const grid = padGrid(alive, width, height, pad, life.edges);
+    if (life.name === 'ltl') {
+        const ph = height + 2 * pad;
+        const sums = new Int32Array((pw + 1) * (ph + 1));
+        for (let y = 0; y < ph; y++) {
+            let row = 0;
+            for (let x = 0; x < pw; x++) {
+                row += grid[y * pw + x];
+                sums[(y + 1) * (pw + 1) + x + 1] = sums[y * (pw + 1) + x + 1] + row;
+            }
+        }
+        const span = 2 * pad + 1;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                // Box [x, x + span) x [y, y + span) of the padded grid is centred on the cell
+                const box = sums[(y + span) * (pw + 1) + x + span] - sums[y * (pw + 1) + x + span]
+                    - sums[(y + span) * (pw + 1) + x] + sums[y * (pw + 1) + x];
+                counts[y * width + x] = box - alive[y * width + x];
+            }
+        }
+        return counts;
+    }
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let n = 0;
+            for (const [dx, dy] of life.offsets) n += grid[(y + pad + dy) * pw + x + pad + dx];
+            counts[y * width + x] = n;
+        }
+    }
+    return counts;
+}
+
+// One synchronous update. cells: +1 alive, anything else dead.
+// Returns a new Int32Array of +1 / -1.
+export function stepLife(life, cells, width, height) {
+    const n = width * height;
+    const alive = new Uint8Array(n);
+    for (let i = 0; i < n; i++) alive[i] = cells[i] === 1 ? 1 : 0;
+    const counts = countNeighbours(alive, width, height, life);
+    const out = new Int32Array(n);
+    for (let i = 0; i < n; i++) {
+        out[i] = (alive[i] ? life.stays[counts[i]] : life.born[counts[i]]) ? 1 : -1;
+    }
+    return out;
+}
+
+// One tick with the Life-like part done by stepLife(). The engine's own sync
+// update must be off (set_update_config); its tick still runs for the Ising
+// part and drift, before or after the rule as `order` says. Returns a
+// Promise for worker-backed sims, like sim.tick().
+export function tickWithLife(sim, memory, life, order = 'async_first') {
+    const applyLife = () => {
+        const w = sim.get_width();
+        const h = sim.get_height();
+        const cells = new Int32Array(memory.buffer, sim.get_cells_ptr(), w * h);
+        return writeGrid(sim, memory, stepLife(life, cells, w, h));
+    };
+    const then = (first, next) => (first ? first.then(next) : next());
+    if (order === 'sync_first') return then(applyLife(), () => sim.tick());
+    return then(sim.tick(), applyLife);
+}
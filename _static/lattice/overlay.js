@@ -0,0 +1,130 @@
+// Control bar for embeds (data-controls="true" / "controls": true): play /
+// pause, step, reset, a temperature slider (Ising) and / or rule picker
+// (Life), and a link that opens the embed's live config in the full simulator.
+// It fades in while the pointer or keyboard focus is on the embed.
+
+const RULES = [
+    ['B3/S23', 'Life'],
+    ['B36/S23', 'HighLife'],
+    ['B3678/S34678', 'Day & Night'],
+    ['B368/S245', 'Morley'],
+    ['B1357/S1357', 'Replicator'],
+    ['B2/S', 'Seeds'],
+];
+
+const STYLE = `
+.lattice-controls {
+    position: absolute; left: 0; right: 0; bottom: 0;
+    display: flex; flex-wrap: wrap; align-items: center; gap: 6px;
+    padding: 6px 8px; background: rgba(0, 0, 0, 0.65); color: #eee;
+    font: 12px/1.2 system-ui, sans-serif;
+    opacity: 0; transition: opacity 0.2s;
+}
+:hover > .lattice-controls, .lattice-controls:focus-within { opacity: 1; }
+.lattice-controls button, .lattice-controls select, .lattice-controls a {
+    font: inherit; color: inherit; background: rgba(255, 255, 255, 0.12);
+    border: 1px solid rgba(255, 255, 255, 0.25); border-radius: 4px; padding: 2px 8px;
+    cursor: pointer; text-decoration: none;
+}
+.lattice-controls label { display: flex; align-items: center; gap: 4px; }
+.lattice-controls input[type=range] { width: 110px; }
+.lattice-controls .lattice-open { margin-left: auto; }
+`;
+
+function injectStyle() {
+    if (document.getElementById('lattice-controls-style')) return;
+    const style = document.createElement('style');
+    style.id = 'lattice-controls-style';
+    style.textContent = STYLE;
+    document.head.appendChild(style);
+}
+
+function button(text, title, onClick) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = text;
+    btn.title = title;
+    btn.addEventListener('click', onClick);
+    return btn;
+}
+
+export class ControlOverlay {
+    // embed: a LatticeEmbed (play, pause, step, reset, setParams, getParams, simulatorUrl)
+    constructor(embed) {
+        this.embed = embed;
+        injectStyle();
+        const bar = document.createElement('div');
+        bar.className = 'lattice-controls';
+
+        this.playBtn = button('Pause', 'Play / pause', () => {
+            if (embed.running) embed.pause(); else embed.play();
+        });
+        bar.append(
+            this.playBtn,
+            button('Step', 'Advance one tick', () => embed.step()),
+            button('Reset', 'Start the run again', () => embed.reset()),
+        );
+
+        this.tempInput = null;
+        this.tempLabel = null;
+        if (embed.cfg.async?.enabled) {
+            const label = document.createElement('label');
+            label.textContent = 'T';
+            this.tempInput = document.createElement('input');
+            Object.assign(this.tempInput, { type: 'range', min: 0.1, max: 5, step: 0.01 });
+            this.tempInput.addEventListener('input', () => {
+                embed.setParams({ temperature: Number(this.tempInput.value) });
+            });
+            this.tempLabel = document.createElement('span');
+            label.append(this.tempInput, this.tempLabel);
+            bar.append(label);
+        }
+
+        this.ruleSelect = null;
+        if (embed.cfg.sync?.enabled) {
+            this.ruleSelect = document.createElement('select');
+            this.ruleSelect.title = 'Life-like rule';
+            for (const [rule, name] of RULES) this.ruleSelect.add(new Option(`${name} (${rule})`, rule));
+            this.ruleSelect.addEventListener('change', () => embed.setParams({ rule: this.ruleSelect.value }));
+            bar.append(this.ruleSelect);
+        }
+
+        this.openLink = document.createElement('a');
+        this.openLink.className = 'lattice-open';
+        this.openLink.textContent = 'Open in simulator';
+        this.openLink.target = '_blank';
+        this.openLink.rel = 'noopener';
+        // Built on demand so the link carries whatever the embed is doing now
+        const refresh = () => { this.openLink.href = embed.simulatorUrl(); };
+        this.openLink.addEventListener('pointerdown', refresh);
+        this.openLink.addEventListener('focus', refresh);
+        this.openLink.addEventListener('click', refresh);
+        bar.append(this.openLink);
+
+        this.bar = bar;
+        embed.container.appendChild(bar);
+        refresh();
+        this.sync();
+    }
+
+    // Reflect the embed's state after play / pause / parameter changes
+    sync() {
+        const params = this.embed.getParams();
+        this.playBtn.textContent = this.embed.running ? 'Pause' : 'Play';
+        if (this.tempInput) {
+            this.tempInput.value = params.temperature;
+            this.tempLabel.textContent = params.temperature.toFixed(2);
+        }
+        if (this.ruleSelect) {
+            const rule = params.rule;
+            if (![...this.ruleSelect.options].some(o => o.value === rule)) {
+                this.ruleSelect.add(new Option(rule, rule));
+            }
+            this.ruleSelect.value = rule;
+        }
+    }
+
+    destroy() {
+        this.bar.remove();
+    }
+}
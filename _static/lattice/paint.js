@@ -0,0 +1,86 @@
+// Drawing tools for the lattice canvas.
+// The WASM API has no per-cell setter, so writes go straight into the cell
+// buffer behind get_cells_ptr(); the engine reads it on the next tick.
+// Worker-backed sims (remote.js) forward the write instead.
+
+// indices: cell indices; values: matching array (plain or typed) or a single value for all
+export function writeCells(sim, memory, indices, values) {
+    const isList = Array.isArray(values) || ArrayBuffer.isView(values);
+    if (typeof sim.write_cells === 'function') {
+        const vals = isList ? Array.from(values) : Array.from(indices, () => values);
+        return sim.write_cells(Array.from(indices), vals);
+    }
+    const cells = new Int32Array(memory.buffer, sim.get_cells_ptr(), sim.get_width() * sim.get_height());
+    let k = 0;
+    for (const idx of indices) {
+        cells[idx] = isList ? values[k++] : values;
+    }
+}
+
+// Overwrite the whole lattice from a row-major grid of the same size
+export function writeGrid(sim, memory, grid) {
+    return writeCells(sim, memory, grid.keys(), grid);
+}
+
+const wrap = (v, n) => ((v % n) + n) % n;
+
+// Bresenham line between two cells
+export function lineCells(x0, y0, x1, y1, gridW, gridH) {
+    const out = [];
+    const dx = Math.abs(x1 - x0);
+    const dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    let err = dx + dy;
+    let x = x0, y = y0;
+    for (;;) {
+        out.push(wrap(y, gridH) * gridW + wrap(x, gridW));
+        if (x === x1 && y === y1) break;
+        const e2 = 2 * err;
+        if (e2 >= dy) { err += dy; x += sx; }
+        if (e2 <= dx) { err += dx; y += sy; }
+    }
+    return out;
+}
+
+export function rectCells(x0, y0, x1, y1, gridW, gridH, filled = false) {
+    const out = [];
+    const [xa, xb] = x0 < x1 ? [x0, x1] : [x1, x0];
+    const [ya, yb] = y0 < y1 ? [y0, y1] : [y1, y0];
+    for (let y = ya; y <= yb; y++) {
+        for (let x = xa; x <= xb; x++) {
+            if (filled || y === ya || y === yb || x === xa || x === xb) {
+                out.push(wrap(y, gridH) * gridW + wrap(x, gridW));
+            }
+        }
+    }
+    return out;
+}
+
+// 4-connected region sharing the start cell's value, across periodic edges
+export function floodCells(cells, startIdx, gridW, gridH) {
+    const target = cells[startIdx];
+    const seen = new Uint8Array(gridW * gridH);
+    const stack = [startIdx];
+    const out = [];
+    seen[startIdx] = 1;
+    while (stack.length > 0) {
+        const idx = stack.pop();
+        out.push(idx);
+        const x = idx % gridW;
+        const y = (idx - x) / gridW;
+        const neighbours = [
+            y * gridW + wrap(x - 1, gridW),
+            y * gridW + wrap(x + 1, gridW),
+            wrap(y - 1, gridH) * gridW + x,
+            wrap(y + 1, gridH) * gridW + x,
+        ];
+        for (const n of neighbours) {
+            if (!seen[n] && cells[n] === target) {
+                seen[n] = 1;
+                stack.push(n);
+            }
+        }
+    }
+    return out;
+}
@@ -0,0 +1,278 @@
+// Pattern library and stamping helpers.
+// A pattern is { name, width, height, cells } with `cells` a row-major
+// Uint8Array of 0 (dead / down) and 1 (alive / up).
+
+// Plaintext rows: 'O' alive, '.' dead
+const LIBRARY = {
+    glider: [
+        '.O.',
+        '..O',
+        'OOO',
+    ],
+    lwss: [
+        '.O..O',
+        'O....',
+        'O...O',
+        'OOOO.',
+    ],
+    'r-pentomino': [
+        '.OO',
+        'OO.',
+        '.O.',
+    ],
+    pulsar: [
+        '..OOO...OOO..',
+        '.............',
+        'O....O.O....O',
+        'O....O.O....O',
+        'O....O.O....O',
+        '..OOO...OOO..',
+        '.............',
+        '..OOO...OOO..',
+        'O....O.O....O',
+        'O....O.O....O',
+        'O....O.O....O',
+        '.............',
+        '..OOO...OOO..',
+    ],
+    'gosper-gun': [
+        '........................O...........',
+        '......................O.O...........',
+        '............OO......OO............OO',
+        '...........O...O....OO............OO',
+        'OO........O.....O...OO..............',
+        'OO........O...O.OO....O.O...........',
+        '..........O.....O.......O...........',
+        '...........O...O....................',
+        '............OO......................',
+    ],
+};
+
+export function fromRows(name, rows) {
+    const height = rows.length;
+    const width = Math.max(0, ...rows.map(r => r.length));
+    const cells = new Uint8Array(width * height);
+    rows.forEach((row, y) => {
+        for (let x = 0; x < row.length; x++) {
+            if (row[x] === 'O' || row[x] === '*') cells[y * width + x] = 1;
+        }
+    });
+    return { name, width, height, cells };
+}
+
+export const PATTERNS = Object.fromEntries(
+    Object.entries(LIBRARY).map(([name, rows]) => [name, fromRows(name, rows)])
+);
+
+// Mirror left-right (if `mirror`), then rotate clockwise by `quarterTurns`
+export function transform(pattern, quarterTurns = 0, mirror = false) {
+    let { width, height, cells } = pattern;
+
+    if (mirror) {
+        const out = new Uint8Array(cells.length);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                out[y * width + (width - 1 - x)] = cells[y * width + x];
+            }
+        }
+        cells = out;
+    }
+
+    for (let t = 0; t < ((quarterTurns % 4) + 4) % 4; t++) {
+        const out = new Uint8Array(cells.length);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                // (x, y) -> (height - 1 - y, x) in a grid `height` wide
+                out[x * height + (height - 1 - y)] = cells[y * width + x];
+            }
+        }
+        [width, height, cells] = [height, width, out];
+    }
+
+    return { ...pattern, width, height, cells };
+}
+
+// Lattice writes that place `pattern` centred on (cx, cy), wrapping at the edges.
+// The whole bounding box is written so the pattern lands on clean ground.
+export function stamp(pattern, cx, cy, gridW, gridH) {
+    const indices = [];
+    const values = [];
+    const ox = cx - Math.floor(pattern.width / 2);
+    const oy = cy - Math.floor(pattern.height / 2);
+    for (let y = 0; y < pattern.height; y++) {
+        for (let x = 0; x < pattern.width; x++) {
+            const gx = ((ox + x) % gridW + gridW) % gridW;
+            const gy = ((oy + y) % gridH + gridH) % gridH;
+            indices.push(gy * gridW + gx);
+            values.push(pattern.cells[y * pattern.width + x] ? 1 : -1);
+        }
+    }
+    return { indices, values };
+}
+
+// --- Life rule strings ---
+
+// 'B3/S23' (any case) or the older survival/birth form '23/3' -> { birth, survival }.
+// Golly's bounded-grid suffix (':T100,100', ':P40,30', ...) is dropped: the
+// lattice's own size and boundaries apply.
+export function parseRule(text) {
+    const rule = String(text).trim().toUpperCase().replace(/:.*$/, '');
+    const digits = (s) => [...new Set((s || '').split('').map(Number))].filter(n => n <= 8).sort();
+    let m = rule.match(/^B([0-8]*)\/S([0-8]*)$/) || rule.match(/^S([0-8]*)\/B([0-8]*)$/);
+    if (m) {
+        return rule[0] === 'B'
+            ? { birth: digits(m[1]), survival: digits(m[2]) }
+            : { birth: digits(m[2]), survival: digits(m[1]) };
+    }
+    m = rule.match(/^([0-8]*)\/([0-8]*)$/);
+    if (m) return { birth: digits(m[2]), survival: digits(m[1]) };
+    throw new Error(`lattice: unsupported rule "${text}"`);
+}
+
+export function formatRule({ birth, survival }) {
+    return `B${[...birth].sort().join('')}/S${[...survival].sort().join('')}`;
+}
+
+// --- RLE ---
+
+// Returns a pattern plus `rule` ({ birth, survival }, or null without a header rule)
+export function parseRLE(text) {
+    let name = 'pattern';
+    let width = 0;
+    let height = 0;
+    let rule = null;
+    let body = '';
+    for (const line of text.split(/\r?\n/)) {
+        const trimmed = line.trim();
+        if (trimmed.startsWith('#')) {
+            if (/^#N\s/.test(trimmed)) name = trimmed.slice(2).trim();
+        } else if (/^x\s*=/.test(trimmed)) {
+            const header = Object.fromEntries(trimmed.split(',').map(kv => kv.split('=').map(s => s.trim())));
+            width = parseInt(header.x) || 0;
+            height = parseInt(header.y) || 0;
+            if (header.rule) rule = parseRule(header.rule);
+        } else {
+            body += trimmed;
+            if (trimmed.includes('!')) break;
+        }
+    }
+
+    // Decode into row lists first; the header size is only a hint
+    const rows = [[]];
+    let run = '';
+    for (const ch of body) {
+        if (ch >= '0' && ch <= '9') { run += ch; continue; }
+        const n = run ? parseInt(run) : 1;
+        run = '';
+        if (ch === '!') break;
+        if (ch === '$') {
+            for (let i = 0; i < n; i++) rows.push([]);
+        } else {
+            // 'b' / '.' dead, anything else ('o', 'A', ...) alive
+            const alive = ch !== 'b' && ch !== '.';
+            const row = rows[rows.length - 1];
+            for (let i = 0; i < n; i++) row.push(alive);
+        }
+    }
+    while (rows.length > 1 && rows[rows.length - 1].length === 0) rows.pop();
+
+    width = Math.max(width, ...rows.map(r => r.length));
+    height = Math.max(height, rows.length);
+    const cells = new Uint8Array(width * height);
+    rows.forEach((row, y) => row.forEach((alive, x) => { if (alive) cells[y * width + x] = 1; }));
+    return { name, width, height, cells, rule };
+}
+
+export function toRLE(pattern, rule = null) {
+    const { width, height, cells } = pattern;
+    const runs = [];
+    const push = (n, tag) => runs.push((n > 1 ? n : '') + tag);
+
+    let lastRow = 0;
+    for (let y = 0; y < height; y++) {
+        // Trailing dead cells are implied by the end of the row
+        let end = width;
+        while (end > 0 && !cells[y * width + end - 1]) end--;
+        if (end === 0) continue;
+        if (y > lastRow) push(y - lastRow, '$');
+        lastRow = y;
+        let x = 0;
+        while (x < end) {
+            const v = cells[y * width + x];
+            let n = 1;
+            while (x + n < end && cells[y * width + x + n] === v) n++;
+            push(n, v ? 'o' : 'b');
+            x += n;
+        }
+    }
+    runs.push('!');
+
+    // Wrap the body at 70 columns without splitting a run
+    const lines = [''];
+    for (const r of runs) {
+        if (lines[lines.length - 1].length + r.length > 70) lines.push('');
+        lines[lines.length - 1] += r;
+    }
+
+    const header = `x = ${width}, y = ${height}` + (rule ? `, rule = ${formatRule(rule)}` : '');
+    return [`#N ${pattern.name || 'pattern'}`, header, ...lines].join('\n') + '\n';
+}
+
+// --- Plaintext (.cells) ---
+
+export function parseCells(text) {
+    let name = 'pattern';
+    const rows = [];
+    for (const line of text.split(/\r?\n/)) {
+        if (line.startsWith('!')) {
+            const m = line.match(/^!Name:\s*(.*)$/);
+            if (m) name = m[1].trim();
+        } else {
+            rows.push(line.trimEnd());
+        }
+    }
+    while (rows.length > 0 && rows[rows.length - 1] === '') rows.pop();
+    return { ...fromRows(name, rows), rule: null };
+}
+
+export function toCells(pattern) {
+    const { width, height, cells } = pattern;
+    const rows = [`!Name: ${pattern.name || 'pattern'}`];
+    for (let y = 0; y < height; y++) {
+        let row = '';
+        for (let x = 0; x < width; x++) row += cells[y * width + x] ? 'O' : '.';
+        rows.push(row);
+    }
+    return rows.join('\n') + '\n';
+}
+
+// Either format; RLE is recognised by its `x = ...` header
+export function parsePattern(text) {
+    return /^\s*x\s*=/m.test(text) ? parseRLE(text) : parseCells(text);
+}
+
+// Crop a lattice (Int32 cells, +1 alive) to the bounding box of its live cells
+export function fromGrid(grid, gridW, gridH, name = 'lattice') {
+    let x0 = gridW, y0 = gridH, x1 = -1, y1 = -1;
+    for (let y = 0; y < gridH; y++) {
+        for (let x = 0; x < gridW; x++) {
+            if (grid[y * gridW + x] === 1) {
+                if (x < x0) x0 = x;
+                if (x > x1) x1 = x;
+                if (y < y0) y0 = y;
+                if (y > y1) y1 = y;
+            }
+        }
+    }
+    if (x1 < 0) return { name, width: 0, height: 0, cells: new Uint8Array(0) };
+
+    const width = x1 - x0 + 1;
+    const height = y1 - y0 + 1;
+    const cells = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (grid[(y0 + y) * gridW + (x0 + x)] === 1) cells[y * width + x] = 1;
+        }
+    }
+    return { name, width, height, cells };
+}
@@ -0,0 +1,357 @@
+// Recording lattice runs: WebM video (MediaRecorder), animated GIF (encoded
+// here, no library) and a zip of PNG frames.
+// Every frame is painted onto one canvas first, either from cells at native
+// resolution (drawCells: `scale` px per cell, coloured as in themes.js) or
+// copied from a render canvas (copyCanvas); recordFrames() then hands the
+// canvas to the encoder once per frame and returns the finished Blob.
+
+import { colorize } from './themes.js';
+
+export const RECORD_FORMATS = {
+    webm: { label: 'WebM video', extension: 'webm' },
+    gif: { label: 'Animated GIF', extension: 'gif' },
+    'png-zip': { label: 'PNG frames (zip)', extension: 'zip' },
+};
+
+// Per-canvas cell buffer for drawCells(), reused across frames
+const scratch = new WeakMap();
+
+function context(canvas) {
+    return canvas.getContext('2d', { willReadFrequently: true });
+}
+
+function setSize(canvas, width, height) {
+    if (canvas.width !== width) canvas.width = width;
+    if (canvas.height !== height) canvas.height = height;
+}
+
+// Paint a width x height grid of cells onto `canvas`, `scale` px per cell.
+// options: colors (resolveTheme()), mode / tracker as for colorize()
+export function drawCells(canvas, cells, width, height, { colors, scale = 1, mode = 'state', tracker = null } = {}) {
+    let buf = scratch.get(canvas);
+    if (!buf || buf.canvas.width !== width || buf.canvas.height !== height) {
+        const small = document.createElement('canvas');
+        small.width = width;
+        small.height = height;
+        const ctx = small.getContext('2d', { alpha: false });
+        buf = { canvas: small, ctx, img: ctx.createImageData(width, height) };
+        scratch.set(canvas, buf);
+    }
+    colorize(new Uint32Array(buf.img.data.buffer), cells, colors, mode, tracker);
+    buf.ctx.putImageData(buf.img, 0, 0);
+    setSize(canvas, Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)));
+    const ctx = context(canvas);
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(buf.canvas, 0, 0, canvas.width, canvas.height);
+}
+
+// Copy `source` (a render canvas) onto `canvas` at width x height px
+export function copyCanvas(canvas, source, width = source.width, height = source.height) {
+    setSize(canvas, Math.max(1, Math.round(width)), Math.max(1, Math.round(height)));
+    const ctx = context(canvas);
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+}
+
+export function canvasToBlob(canvas, type = 'image/png') {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => blob ? resolve(blob) : reject(new Error('lattice: could not encode the frame')), type);
+    });
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// --- WebM ---
+
+// MediaRecorder timestamps frames in real time, so each one is held for a
+// frame interval before the next is drawn
+function webmEncoder(canvas, fps) {
+    if (typeof MediaRecorder !== 'function' || typeof canvas.captureStream !== 'function') {
+        throw new Error('lattice: this browser cannot record video');
+    }
+    const stream = canvas.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+    const chunks = [];
+    recorder.ondataavailable = (e) => { if (e.data.size > 0) chunks.push(e.data); };
+    recorder.start();
+    return {
+        async add() {
+            track.requestFrame();
+            await sleep(1000 / fps);
+        },
+        finish() {
+            return new Promise((resolve) => {
+                recorder.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }));
+                recorder.stop();
+                track.stop();
+            });
+        },
+    };
+}
+
+// --- GIF ---
+// GIF89a, looping, one local colour table per frame: the frame's exact
+// colours when there are at most 256 (always, for cell frames), else RGB 3-3-2.
+
+function u16(n) {
+    return [n & 0xFF, (n >> 8) & 0xFF];
+}
+
+// RGBA pixels -> { indices, palette (0x00BBGGRR), bits }
+function indexPixels(rgba) {
+    const pixels = new Uint32Array(rgba.buffer, rgba.byteOffset, rgba.length >> 2);
+    const indices = new Uint8Array(pixels.length);
+    const lookup = new Map();
+    let exact = true;
+    for (let i = 0; i < pixels.length; i++) {
+        const c = pixels[i] & 0xFFFFFF;
+        let k = lookup.get(c);
+        if (k === undefined) {
+            if (lookup.size === 256) {
+                exact = false;
+                break;
+            }
+            k = lookup.size;
+            lookup.set(c, k);
+        }
+        indices[i] = k;
+    }
+    let palette;
+    if (exact) {
+        palette = [...lookup.keys()];
+    } else {
+        palette = Array.from({ length: 256 }, (_, k) => {
+            const r = Math.round((k >> 5) * 255 / 7);
+            const g = Math.round(((k >> 2) & 7) * 255 / 7);
+            const b = Math.round((k & 3) * 255 / 3);
+            return (b << 16) | (g << 8) | r;
+        });
+        for (let i = 0; i < pixels.length; i++) {
+            const c = pixels[i];
+            indices[i] = (c & 0xE0) | ((c >> 11) & 0x1C) | ((c >> 22) & 0x03);
+        }
+    }
+    let bits = 1;
+    while ((1 << bits) < palette.length) bits++;
+    return { indices, palette, bits };
+}
+
+// Variable-width LZW as GIF wants it, with a clear code once the table fills
+function lzw(indices, minCodeSize) {
+    const out = [];
+    const clearCode = 1 << minCodeSize;
+    const eoiCode = clearCode + 1;
+    let codeSize = minCodeSize + 1;
+    let nextCode = eoiCode + 1;
+    let table = new Map();
+    let cur = 0;
+    let shift = 0;
+    const emit = (code) => {
+        cur |= code << shift;
+        shift += codeSize;
+        while (shift >= 8) {
+            out.push(cur & 0xFF);
+            cur >>>= 8;
+            shift -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        emit(prefix);
+        if (nextCode === 4096) {
+            emit(clearCode);
+            codeSize = minCodeSize + 1;
+            nextCode = eoiCode + 1;
+            table = new Map();
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(eoiCode);
+    if (shift > 0) out.push(cur & 0xFF);
+    return out;
+}
+
+function gifFrame(rgba, width, height, delay) {
+    const { indices, palette, bits } = indexPixels(rgba);
+    const bytes = [
+        // Graphic control: keep the previous frame, `delay` centiseconds
+        0x21, 0xF9, 0x04, 0x04, ...u16(delay), 0x00, 0x00,
+        // Image descriptor with a local colour table of 2^bits entries
+        0x2C, ...u16(0), ...u16(0), ...u16(width), ...u16(height), 0x80 | (bits - 1),
+    ];
+    for (let k = 0; k < (1 << bits); k++) {
+        const c = palette[k] ?? 0;
+        bytes.push(c & 0xFF, (c >> 8) & 0xFF, (c >> 16) & 0xFF);
+    }
+    const minCodeSize = Math.max(2, bits);
+    bytes.push(minCodeSize);
+    const data = lzw(indices, minCodeSize);
+    for (let i = 0; i < data.length; i += 255) {
+        const block = data.slice(i, i + 255);
+        bytes.push(block.length, ...block);
+    }
+    bytes.push(0x00);
+    return new Uint8Array(bytes);
+}
+
+function gifEncoder(canvas, fps) {
+    const parts = [];
+    // GIF delays are in centiseconds, and browsers slow anything under 2 down
+    const delay = Math.max(2, Math.round(100 / fps));
+    return {
+        add() {
+            const { width, height } = canvas;
+            if (parts.length === 0) {
+                const ascii = (s) => [...s].map(c => c.charCodeAt(0));
+                parts.push(new Uint8Array([
+                    ...ascii('GIF89a'), ...u16(width), ...u16(height), 0x00, 0x00, 0x00,
+                    // Loop forever
+                    0x21, 0xFF, 0x0B, ...ascii('NETSCAPE2.0'), 0x03, 0x01, ...u16(0), 0x00,
+                ]));
+            }
+            const rgba = context(canvas).getImageData(0, 0, width, height).data;
+            parts.push(gifFrame(rgba, width, height, delay));
+        },
+        finish() {
+            parts.push(new Uint8Array([0x3B]));
+            return Promise.resolve(new Blob(parts, { type: 'image/gif' }));
+        },
+    };
+}
+
+// --- PNG zip ---
+// PNGs are compressed already, so the zip just stores them
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let c = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+    return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// files: [{ name, data: Uint8Array }] -> zip Blob (no compression)
+export function zipFiles(files, date = new Date()) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    for (const { name, data } of files) {
+        const nameBytes = encoder.encode(name);
+        const crc = crc32(data);
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true); // version needed
+        local.setUint16(10, time, true);
+        local.setUint16(12, day, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        parts.push(local, nameBytes, data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014B50, true);
+        entry.setUint16(4, 20, true); // version made by
+        entry.setUint16(6, 20, true); // version needed
+        entry.setUint16(12, time, true);
+        entry.setUint16(14, day, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, nameBytes.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(entry, nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    }
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+function zipEncoder(canvas) {
+    const files = [];
+    return {
+        async add() {
+            const blob = await canvasToBlob(canvas);
+            const name = `frame-${String(files.length + 1).padStart(5, '0')}.png`;
+            files.push({ name, data: new Uint8Array(await blob.arrayBuffer()) });
+        },
+        finish() {
+            return Promise.resolve(zipFiles(files));
+        },
+    };
+}
+
+/**
+ * Encoder for `format` reading frames from `canvas`: add() takes whatever
+ * the canvas holds now, finish() resolves to the Blob. Frames must all be
+ * the size of the first.
+ */
+export function createEncoder(format, canvas, { fps = 30 } = {}) {
+    switch (format) {
+        case 'webm': return webmEncoder(canvas, fps);
+        case 'gif': return gifEncoder(canvas, fps);
+        case 'png-zip': return zipEncoder(canvas);
+        default: throw new Error(`lattice: unknown recording format "${format}"`);
+    }
+}
+
+/**
+ * Record `count` frames: drawFrame(i) paints frame i onto `canvas` (it may
+ * be async, e.g. to wait for a tick), then the encoder takes it.
+ * options: format, fps, onProgress(done, count), isCancelled() (stops early
+ * and keeps what was recorded). Resolves to the Blob, or null if no frame was taken.
+ */
+export async function recordFrames(canvas, count, drawFrame, { format = 'webm', fps = 30, onProgress, isCancelled } = {}) {
+    let encoder = null;
+    for (let i = 0; i < count; i++) {
+        if (isCancelled?.()) break;
+        await drawFrame(i);
+        // Created after the first frame so WebM captures the final canvas size
+        encoder ??= createEncoder(format, canvas, { fps });
+        await encoder.add();
+        onProgress?.(i + 1, count);
+    }
+    return encoder ? encoder.finish() : null;
+}
+
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
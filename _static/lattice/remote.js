@@ -0,0 +1,131 @@
+/**
+ * RemoteSimulation — main-thread stand-in for a `Simulation` running in
+ * sim-worker.js.
+ *
+ * It mirrors the parts of the WASM API the app and embeds use, so existing
+ * code keeps reading cells with
+ *
+ *   new Int32Array(remote.memory.buffer, remote.get_cells_ptr(), w * h)
+ *
+ * The differences: `tick()` returns a Promise that resolves once the worker
+ * has sent the new frame back, and `copy()` rebuilds a local `Simulation` from
+ * the mirrored cells and the setters replayed so far (it needs `local`).
+ */
+
+const SETTERS = [
+  'set_resolution', 'set_ising_params', 'set_gol_rules', 'set_update_config',
+  'set_boundaries', 'set_boundary', 'set_scroll_velocity',
+];
+const ACTIONS = ['init_random', 'clear', 'reset', 'reset_random'];
+
+export class RemoteSimulation {
+  /**
+   * @param {{bindingsUrl: string, wasmUrl: string}} assets  bindings for the worker to import
+   * @param {number} width
+   * @param {number} height
+   * @param {{Simulation: Function, memory: WebAssembly.Memory}} [local]  main-thread module, for copy()
+   */
+  static create(assets, width, height, local = null) {
+    const remote = new RemoteSimulation(local);
+    remote.worker.postMessage({ type: 'init', ...assets, width, height });
+    return remote.nextFrame().then(() => remote);
+  }
+
+  constructor(local) {
+    this.local = local;
+    this.worker = new Worker(new URL('./sim-worker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = (e) => this.receive(e.data);
+
+    this.width = 0;
+    this.height = 0;
+    this.cells = new Int32Array(0);
+    this.measurements = new Float64Array(3);
+    this.pending = 0; // ticks sent but not yet answered
+    this.waiters = [];
+    this.onframe = null; // (ticked) => void, called after the mirror updates
+
+    // Last arguments for each setter, replayed by copy()
+    this.calls = new Map();
+
+    const remote = this;
+    this.memory = {
+      get buffer() { return remote.cells.buffer; },
+    };
+  }
+
+  receive(msg) {
+    if (msg.ticked) this.pending--;
+    if (msg.type === 'error') {
+      console.error('lattice worker:', msg.message);
+    } else {
+      this.width = msg.width;
+      this.height = msg.height;
+      this.cells = msg.cells;
+      this.measurements = msg.measurements;
+      if (this.onframe) this.onframe(msg.ticked);
+    }
+    const waiter = this.waiters.shift();
+    if (waiter) waiter();
+  }
+
+  nextFrame() {
+    return new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  call(method, args) {
+    const key = method === 'set_boundary' ? `${method}:${args[0]}` : method;
+    if (SETTERS.includes(method)) this.calls.set(key, args);
+    this.worker.postMessage({ type: 'call', method, args });
+    return this.nextFrame();
+  }
+
+  tick() {
+    this.pending++;
+    this.worker.postMessage({ type: 'tick' });
+    return this.nextFrame();
+  }
+
+  // Cell writes land in the mirror straight away so drawing feels immediate;
+  // the worker's frame replaces it once the write has been applied there.
+  write_cells(indices, values) {
+    indices.forEach((idx, k) => { this.cells[idx] = values[k]; });
+    this.worker.postMessage({ type: 'write', indices, values });
+    return this.nextFrame();
+  }
+
+  // Fresh worker-side Simulation (update RNG back at its built-in seed), same size.
+  // Setters recorded so far no longer apply and are forgotten.
+  renew() {
+    const resolution = this.calls.get('set_resolution');
+    this.calls.clear();
+    if (resolution) this.calls.set('set_resolution', resolution);
+    this.worker.postMessage({ type: 'renew' });
+    return this.nextFrame();
+  }
+
+  get_width() { return this.width; }
+  get_height() { return this.height; }
+  get_cells_ptr() { return 0; }
+  get_measurements() { return this.measurements.slice(); }
+
+  copy() {
+    if (!this.local) throw new Error('RemoteSimulation.copy() needs a local Simulation module');
+    const sim = this.local.Simulation.new();
+    sim.set_resolution(this.width, this.height);
+    for (const [key, args] of this.calls) {
+      if (key !== 'set_resolution') sim[key.split(':')[0]](...args);
+    }
+    new Int32Array(this.local.memory.buffer, sim.get_cells_ptr(), this.cells.length).set(this.cells);
+    return sim;
+  }
+
+  free() {
+    this.worker.terminate();
+  }
+}
+
+for (const method of [...SETTERS, ...ACTIONS]) {
+  RemoteSimulation.prototype[method] = function (...args) {
+    return this.call(method, args);
+  };
+}
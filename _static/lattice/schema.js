@@ -0,0 +1,386 @@
+// Lattice config schema, validation and migration.
+//
+// The canonical shape is the one the simulator's dumpConfig() writes
+// (`_version` 1: ising / gol / lattice / display / history, plus init, seed, state).
+// Two other shapes convert to and from it:
+//
+//   embed       embed.js PRESETS / readConfig(): async / sync / init,
+//               async.field_h, async.sweeps, density, speed, colorMode
+//   simulation  the retired EmbedSimulation (simulation.js): async.field,
+//               async.coupling, boundaries.fixedValue, updateOrder, colorAlive / colorDead
+//
+// migrateConfig() accepts any of them; toEmbedConfig() / toSimulationConfig()
+// go back the other way, so a config can be pasted into the app, an embed or a link.
+// encodeConfigHash() / decodeConfigHash() write and read those links.
+
+import { PALETTES, COLOR_MODES, parseColor } from './themes.js';
+import { NEIGHBOURHOODS } from './neighbourhoods.js';
+
+export const CONFIG_VERSION = 1;
+
+// Most history frames a config may ask for (each one is a full lattice at worst)
+export const HISTORY_MAX = 100000;
+
+const BOUNDARIES = ['periodic', 'fixed', 'reflect', 'absorbing'];
+const RESIZE_ANCHORS = ['center', 'top-left'];
+
+// Canonical presets; embed.js and the app both expand `preset` from these
+export const PRESETS = {
+    'ising-cold': {
+        ising: { enabled: true, temperature: 1.0, field_h: 0, coupling_j: 1.0, sweeps_per_frame: 1.0 },
+        gol: { enabled: false },
+        init: { type: 'random', density: 0.5 },
+        display: { speed_fps: 30 },
+        seed: 1,
+    },
+    'ising-hot': {
+        ising: { enabled: true, temperature: 4.0, field_h: 0, coupling_j: 1.0, sweeps_per_frame: 1.0 },
+        gol: { enabled: false },
+        init: { type: 'random', density: 0.5 },
+        display: { speed_fps: 30 },
+        seed: 2,
+    },
+    'ising-critical': {
+        ising: { enabled: true, temperature: 2.27, field_h: 0, coupling_j: 1.0, sweeps_per_frame: 1.0 },
+        gol: { enabled: false },
+        init: { type: 'random', density: 0.5 },
+        display: { speed_fps: 30 },
+        seed: 3,
+    },
+    'gol': {
+        ising: { enabled: false },
+        gol: { enabled: true, birth: [3], survival: [2, 3] },
+        init: { type: 'random', density: 0.2 },
+        display: { speed_fps: 10 },
+        seed: 4,
+    },
+};
+
+// The old EmbedSimulation called the critical preset 'ising'
+const PRESET_ALIASES = { ising: 'ising-critical' };
+
+// --- Schema ---
+// Leaves are checks returning an error message or null; objects nest.
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+const bool = (v) => typeof v === 'boolean' ? null : 'expected true or false';
+const num = ({ min = -Infinity, max = Infinity, above = false } = {}) => (v) => {
+    if (!isNum(v)) return 'expected a number';
+    if (above ? v <= min : v < min) return `expected a number ${above ? '>' : '>='} ${min}`;
+    if (v > max) return `expected a number <= ${max}`;
+    return null;
+};
+const int = ({ min = -Infinity, max = Infinity } = {}) => (v) =>
+    Number.isInteger(v) && v >= min && v <= max
+        ? null : `expected a whole number >= ${min}${max < Infinity ? ` and <= ${max}` : ''}`;
+const oneOf = (values) => (v) => values.includes(v) ? null : `expected one of ${values.map(x => JSON.stringify(x)).join(', ')}`;
+const str = (v) => typeof v === 'string' ? null : 'expected a string';
+// Upper bound depends on gol.neighbourhood; counts past it never match
+const neighbourCounts = (v) =>
+    Array.isArray(v) && v.every(n => Number.isInteger(n) && n >= 0)
+        ? null : 'expected a list of neighbour counts (whole numbers >= 0)';
+const seed = (v) => (isNum(v) && v >= 0) || typeof v === 'string' ? null : 'expected a number >= 0 or a string';
+const colors = (v) => {
+    if (!v || typeof v !== 'object' || Array.isArray(v)) return 'expected an object of colours';
+    for (const [key, css] of Object.entries(v)) {
+        if (!(key in PALETTES.dark)) return `unknown colour "${key}" (use ${Object.keys(PALETTES.dark).join(', ')})`;
+        try { parseColor(css); } catch (e) { return `${key}: ${e.message.replace(/^lattice: /, '')}`; }
+    }
+    return null;
+};
+
+export const SCHEMA = {
+    _version: int({ min: 1 }),
+    _timestamp: str,
+    preset: oneOf([...Object.keys(PRESETS), ...Object.keys(PRESET_ALIASES)]),
+    seed,
+    worker: bool,
+    ising: {
+        enabled: bool,
+        temperature: num({ min: 0, above: true }),
+        field_h: num(),
+        coupling_j: num(),
+        dynamics: oneOf(['metropolis', 'glauber']),
+        sweeps_per_frame: num({ min: 0 }),
+    },
+    gol: {
+        enabled: bool,
+        birth: neighbourCounts,
+        survival: neighbourCounts,
+        neighbourhood: oneOf(Object.keys(NEIGHBOURHOODS)),
+        radius: int({ min: 1 }),
+    },
+    lattice: {
+        boundaries: {
+            top: oneOf(BOUNDARIES),
+            bottom: oneOf(BOUNDARIES),
+            left: oneOf(BOUNDARIES),
+            right: oneOf(BOUNDARIES),
+        },
+        fixed_value: oneOf([-1, 0, 1]),
+        scroll_vx: num(),
+        scroll_vy: num(),
+        resize_anchor: oneOf(RESIZE_ANCHORS),
+    },
+    update_order: oneOf(['async_first', 'sync_first']),
+    init: {
+        type: oneOf(['random', 'empty', 'rle', 'cells']),
+        density: num({ min: 0, max: 1 }),
+        data: str,
+    },
+    display: {
+        density: int({ min: 1 }),
+        speed_fps: num({ min: 0, above: true }),
+        renderer: oneOf(['2d', 'webgl']),
+        theme: oneOf([...Object.keys(PALETTES), 'auto']),
+        colors,
+        color_mode: oneOf(COLOR_MODES),
+        autoplay: bool,
+        controls: bool,
+    },
+    // The app's history buffer (history.js RollingBuffer); embeds keep none
+    history: {
+        capacity: int({ min: 1, max: HISTORY_MAX }),
+        delta: bool,
+    },
+    state: {
+        width: int({ min: 1 }),
+        height: int({ min: 1 }),
+        tick: int({ min: 0 }),
+        seed,
+        encoding: oneOf(['bits', 'bits+deflate']),
+        data: str,
+    },
+};
+
+function walk(value, schema, path, errors, warnings) {
+    if (typeof schema === 'function') {
+        const message = schema(value);
+        if (message) errors.push(`${path}: ${message}, got ${JSON.stringify(value)}`);
+        return;
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path || 'config'}: expected an object, got ${JSON.stringify(value)}`);
+        return;
+    }
+    for (const [key, v] of Object.entries(value)) {
+        const child = path ? `${path}.${key}` : key;
+        if (!(key in schema)) warnings.push(`${child}: unknown key, ignored`);
+        else if (v !== undefined && v !== null) walk(v, schema[key], child, errors, warnings);
+    }
+}
+
+// Check a canonical config. Errors make it unusable; warnings are ignorable.
+export function validateConfig(cfg) {
+    const errors = [];
+    const warnings = [];
+    walk(cfg, SCHEMA, '', errors, warnings);
+    if (cfg?._version > CONFIG_VERSION) {
+        errors.push(`_version: config is version ${cfg._version}, this page understands up to ${CONFIG_VERSION}`);
+    }
+    if ((cfg?.init?.type === 'rle' || cfg?.init?.type === 'cells') && typeof cfg.init.data !== 'string') {
+        errors.push(`init.data: a "${cfg.init.type}" init needs the pattern text in data`);
+    }
+    return { errors, warnings };
+}
+
+// --- Migration ---
+
+export function detectShape(cfg) {
+    if (!cfg || typeof cfg !== 'object') return null;
+    if ('_version' in cfg || 'ising' in cfg || 'gol' in cfg || 'lattice' in cfg || 'display' in cfg) return 'app';
+    const a = cfg.async || {};
+    if ('field' in a || 'coupling' in a || 'boundaries' in cfg || 'updateOrder' in cfg ||
+        'autoplay' in cfg || 'colorAlive' in cfg || 'colorDead' in cfg) return 'simulation';
+    return 'embed';
+}
+
+// Drop undefined leaves and empty sections
+function prune(obj) {
+    for (const [key, v] of Object.entries(obj)) {
+        if (v === undefined) delete obj[key];
+        else if (v && typeof v === 'object' && !Array.isArray(v)) {
+            prune(v);
+            if (Object.keys(v).length === 0) delete obj[key];
+        }
+    }
+    return obj;
+}
+
+// Keys a shape's converter doesn't know are carried over untouched so the
+// validator can flag them
+function leftovers(cfg, known) {
+    return Object.fromEntries(Object.entries(cfg).filter(([key]) => !known.includes(key)));
+}
+
+const SHARED_KEYS = ['preset', 'seed', 'worker', 'init', 'state', 'theme', 'colors', 'renderer', 'density', 'speed'];
+
+// Any shape -> canonical (a new object; the input is not modified)
+export function migrateConfig(cfg) {
+    const shape = detectShape(cfg);
+    if (shape === null) return cfg;
+    if (shape === 'app') return { ...structuredClone(cfg), _version: cfg._version ?? CONFIG_VERSION };
+
+    const c = structuredClone(cfg);
+    const a = c.async || {};
+    const s = c.sync || {};
+    const b = c.boundaries || {};
+    const out = {
+        _version: CONFIG_VERSION,
+        preset: c.preset,
+        seed: c.seed,
+        worker: c.worker,
+        ising: {
+            enabled: a.enabled,
+            temperature: a.temperature,
+            // The two shapes overlap (embeds now take boundaries too), so read either spelling
+            field_h: a.field_h ?? a.field,
+            coupling_j: a.coupling_j ?? a.coupling,
+            dynamics: a.dynamics,
+            sweeps_per_frame: a.sweeps,
+        },
+        gol: {
+            enabled: s.enabled,
+            birth: s.birth,
+            survival: s.survival,
+            neighbourhood: s.neighbourhood,
+            radius: s.radius,
+        },
+        lattice: {
+            boundaries: { top: b.top, bottom: b.bottom, left: b.left, right: b.right },
+            fixed_value: b.fixedValue,
+            scroll_vx: c.scroll?.vx,
+            scroll_vy: c.scroll?.vy,
+            resize_anchor: c.resizeAnchor,
+        },
+        update_order: c.updateOrder,
+        init: c.init,
+        display: {
+            density: c.density,
+            speed_fps: c.speed,
+            renderer: c.renderer,
+            theme: c.theme,
+            colors: (c.colors || c.colorAlive || c.colorDead) ? {
+                ...c.colors,
+                ...(c.colorAlive && { up: c.colorAlive }),
+                ...(c.colorDead && { down: c.colorDead }),
+            } : undefined,
+            color_mode: c.colorMode,
+            autoplay: c.autoplay,
+            controls: c.controls,
+        },
+        state: c.state,
+    };
+    const known = [...SHARED_KEYS, 'async', 'sync', 'boundaries', 'updateOrder', 'scroll',
+        'colorMode', 'colorAlive', 'colorDead', 'autoplay', 'controls', 'resizeAnchor'];
+    return { ...prune(out), ...leftovers(c, known) };
+}
+
+// Canonical -> embed.js shape
+export function toEmbedConfig(cfg) {
+    const i = cfg.ising || {};
+    const g = cfg.gol || {};
+    const l = cfg.lattice || {};
+    const d = cfg.display || {};
+    return prune({
+        preset: cfg.preset,
+        seed: cfg.seed,
+        worker: cfg.worker,
+        async: {
+            enabled: i.enabled,
+            temperature: i.temperature,
+            field_h: i.field_h,
+            coupling_j: i.coupling_j,
+            dynamics: i.dynamics,
+            sweeps: i.sweeps_per_frame,
+        },
+        sync: {
+            enabled: g.enabled,
+            birth: g.birth,
+            survival: g.survival,
+            neighbourhood: g.neighbourhood,
+            radius: g.radius,
+        },
+        boundaries: { ...l.boundaries, fixedValue: l.fixed_value },
+        scroll: { vx: l.scroll_vx, vy: l.scroll_vy },
+        resizeAnchor: l.resize_anchor,
+        updateOrder: cfg.update_order,
+        init: structuredClone(cfg.init),
+        density: d.density,
+        speed: d.speed_fps,
+        renderer: d.renderer,
+        theme: d.theme,
+        colors: d.colors,
+        colorMode: d.color_mode,
+        autoplay: d.autoplay,
+        controls: d.controls,
+        state: cfg.state,
+    });
+}
+
+// Canonical -> the old EmbedSimulation shape
+export function toSimulationConfig(cfg) {
+    const i = cfg.ising || {};
+    const g = cfg.gol || {};
+    const l = cfg.lattice || {};
+    const d = cfg.display || {};
+    return prune({
+        preset: cfg.preset,
+        seed: cfg.seed,
+        async: {
+            enabled: i.enabled,
+            temperature: i.temperature,
+            field: i.field_h,
+            coupling: i.coupling_j,
+            dynamics: i.dynamics,
+        },
+        sync: { enabled: g.enabled, birth: g.birth, survival: g.survival },
+        boundaries: { ...l.boundaries, fixedValue: l.fixed_value },
+        updateOrder: cfg.update_order,
+        init: structuredClone(cfg.init),
+        density: d.density,
+        speed: d.speed_fps,
+        theme: d.theme,
+        colors: d.colors,
+        autoplay: d.autoplay,
+    });
+}
+
+// Recursively copy `source` into `target` (arrays replace rather than merge)
+export function mergeDeep(target, source) {
+    for (const key of Object.keys(source)) {
+        if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
+            if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+            mergeDeep(target[key], source[key]);
+        } else {
+            target[key] = source[key];
+        }
+    }
+    return target;
+}
+
+// Canonical config with its `preset` (if any) filled in underneath it
+export function expandPreset(cfg) {
+    const name = PRESET_ALIASES[cfg.preset] || cfg.preset;
+    if (!name || !PRESETS[name]) return cfg;
+    const { preset, ...rest } = cfg;
+    return mergeDeep(structuredClone(PRESETS[name]), rest);
+}
+
+// Any shape -> { config (canonical), errors, warnings }
+export function normalizeConfig(cfg) {
+    const config = migrateConfig(cfg);
+    return { config, ...validateConfig(config) };
+}
+
+// The simulator's #config= hash: base64 of the JSON, UTF-8 safe
+export function encodeConfigHash(cfg) {
+    return '#config=' + btoa(unescape(encodeURIComponent(JSON.stringify(cfg))));
+}
+
+// -> the config object, or null when the hash carries none
+export function decodeConfigHash(hash) {
+    if (!hash.startsWith('#config=')) return null;
+    return JSON.parse(decodeURIComponent(escape(atob(hash.slice('#config='.length)))));
+}
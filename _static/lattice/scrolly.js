@@ -0,0 +1,140 @@
+// Scroll-driven parameter changes ("scrollytelling") for lattice embeds.
+// Elements marked data-lattice-step='{"temperature": 1.0}' retune an embed as
+// they cross the middle of the viewport: the one named by
+// data-lattice-target="<id>", else the nearest .lattice-embed above them
+// (usually a position: sticky one). Keys are those of element.lattice.setParams().
+// Numeric parameters ease from their current values over the step's
+// data-lattice-duration (ms); the rest (rule, dynamics) switch at once.
+// Steps build on the ones above them; scrolling back above the first step
+// restores the embed's own parameters.
+
+const NUMERIC = ['temperature', 'field', 'coupling', 'sweeps', 'speed'];
+const DEFAULT_DURATION = 800;
+
+const smoothstep = (t) => t * t * (3 - 2 * t);
+
+// Steps already wired up, so bindScrollSteps() can run again on the same page
+const bound = new WeakSet();
+
+class StepDriver {
+    constructor(target) {
+        this.target = target;
+        this.steps = []; // { params, duration }, in document order
+        this.active = -1; // -1 = before the first step
+        this.base = null; // the embed's own parameters, read on first use
+        this.anim = null;
+        this.pending = null;
+    }
+
+    activate(index) {
+        if (index === this.active) return;
+        this.active = index;
+        const lattice = this.target.lattice;
+        if (!lattice) {
+            // Not mounted yet; catch up once it is
+            if (!this.pending) {
+                this.pending = () => { this.pending = null; this.apply(this.active); };
+                this.target.addEventListener('lattice:ready', this.pending, { once: true });
+            }
+            return;
+        }
+        this.apply(index);
+    }
+
+    apply(index) {
+        const lattice = this.target.lattice;
+        if (!this.base) this.base = lattice.getParams();
+        if (this.anim) cancelAnimationFrame(this.anim);
+
+        // Steps accumulate, so any step (or none) means the same state
+        // whichever direction the reader arrives from
+        const target = {};
+        for (const step of this.steps) {
+            for (const key of Object.keys(step.params)) target[key] = this.base[key];
+        }
+        for (let i = 0; i <= index; i++) Object.assign(target, this.steps[i].params);
+        const duration = index >= 0 ? this.steps[index].duration : DEFAULT_DURATION;
+
+        const from = lattice.getParams();
+        const to = {};
+        const instant = {};
+        for (const [key, value] of Object.entries(target)) {
+            if (value === from[key]) continue;
+            if (NUMERIC.includes(key) && typeof value === 'number') to[key] = value;
+            else instant[key] = value;
+        }
+        if (Object.keys(instant).length > 0) lattice.setParams(instant);
+        if (Object.keys(to).length === 0) return;
+
+        const start = performance.now();
+        const frame = (now) => {
+            const t = duration > 0 ? Math.min(1, (now - start) / duration) : 1;
+            const k = smoothstep(t);
+            const params = {};
+            for (const key of Object.keys(to)) params[key] = from[key] + (to[key] - from[key]) * k;
+            // Re-read: the embed may have been remounted mid-transition
+            const live = this.target.lattice;
+            if (live) live.setParams(params);
+            this.anim = t < 1 && live ? requestAnimationFrame(frame) : null;
+        };
+        this.anim = requestAnimationFrame(frame);
+    }
+}
+
+function stepTarget(step, embeds) {
+    const id = step.dataset.latticeTarget;
+    if (id) return document.getElementById(id);
+    let target = null;
+    for (const el of embeds) {
+        if (el.compareDocumentPosition(step) & Node.DOCUMENT_POSITION_FOLLOWING) target = el;
+    }
+    return target;
+}
+
+/**
+ * Wire up every [data-lattice-step] under `root` that isn't wired yet.
+ * Targets need not be mounted; steps apply once their embed is ready.
+ */
+export function bindScrollSteps(root = document) {
+    const embeds = [...document.querySelectorAll('.lattice-embed')];
+    const drivers = new Map(); // target element -> StepDriver
+    const entries = [];
+    for (const step of root.querySelectorAll('[data-lattice-step]')) {
+        if (bound.has(step)) continue;
+        bound.add(step);
+        let params;
+        try {
+            params = JSON.parse(step.dataset.latticeStep);
+        } catch (e) {
+            console.warn('lattice-embed: bad data-lattice-step JSON', step, e);
+            continue;
+        }
+        const target = stepTarget(step, embeds);
+        if (!target) {
+            console.warn('lattice-embed: no embed for data-lattice-step', step);
+            continue;
+        }
+        if (!drivers.has(target)) drivers.set(target, new StepDriver(target));
+        const driver = drivers.get(target);
+        const duration = Number(step.dataset.latticeDuration ?? DEFAULT_DURATION);
+        driver.steps.push({ params, duration });
+        entries.push([step, driver, driver.steps.length - 1]);
+    }
+    if (entries.length === 0) return;
+
+    const lookup = new Map(entries.map(([step, driver, index]) => [step, { driver, index }]));
+    // A zero-height band across the middle of the viewport: a step is
+    // "intersecting" while it straddles that line
+    const observer = new IntersectionObserver((changes) => {
+        for (const change of changes) {
+            const { driver, index } = lookup.get(change.target);
+            if (change.isIntersecting) {
+                driver.activate(index);
+            } else if (driver.active === index && change.boundingClientRect.top > window.innerHeight / 2) {
+                // Scrolled back up past this step's start
+                driver.activate(index - 1);
+            }
+        }
+    }, { rootMargin: '-50% 0px -50% 0px' });
+    for (const [step] of entries) observer.observe(step);
+}
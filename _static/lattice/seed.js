@@ -0,0 +1,51 @@
+// Seeded starts for reproducible runs.
+// The engine's update RNG cannot be seeded from JS, but every new Simulation
+// starts it from the same built-in seed. So a run repeats tick for tick when
+// it starts on a fresh Simulation with the same parameters and the same
+// initial lattice; the seed chooses that lattice.
+
+// Numbers are truncated to uint32; other strings are hashed (FNV-1a)
+export function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+    const text = String(seed).trim();
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+export function randomSeed() {
+    return crypto.getRandomValues(new Uint32Array(1))[0];
+}
+
+// mulberry32: small, fast, good enough for initial lattices
+export function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// n cells, each +1 with probability `density`, else -1
+export function seededCells(seed, n, density = 0.5) {
+    const rand = mulberry32(normalizeSeed(seed));
+    const cells = new Int32Array(n);
+    for (let i = 0; i < n; i++) cells[i] = rand() < density ? 1 : -1;
+    return cells;
+}
+
+// A Simulation whose update RNG is back at the built-in seed. Local sims get
+// a new instance (the caller frees the old one); worker sims restart in place.
+export async function freshSimulation(sim) {
+    if (typeof sim.renew === 'function') {
+        await sim.renew();
+        return sim;
+    }
+    return sim.constructor.new();
+}
@@ -0,0 +1,78 @@
+/**
+ * Lattice Simulation Worker
+ *
+ * Hosts a WASM `Simulation` in a dedicated module worker so ticking never
+ * blocks the page. Driven by `RemoteSimulation` (remote.js):
+ *
+ *   { type: 'init', bindingsUrl, wasmUrl, width, height }
+ *   { type: 'call', method, args }   forward a Simulation setter
+ *   { type: 'tick' }                 advance one tick
+ *   { type: 'write', indices, values } write cell values (painting, stamps)
+ *   { type: 'renew' }                replace the Simulation with a fresh one (same size)
+ *
+ * Every message is answered, in order, with a 'frame' carrying a copy of the
+ * cells (transferred, not cloned) and the latest measurements, or an 'error'.
+ */
+
+// The bindings' start function looks up `window` and announces itself on it.
+// Workers have no window, so point it at the worker global instead.
+self.window = self;
+self.Window = self.constructor;
+
+let bindings = null;
+let sim = null;
+let memory = null;
+
+function postFrame(ticked) {
+  const w = sim.get_width();
+  const h = sim.get_height();
+  const cells = new Int32Array(w * h);
+  cells.set(new Int32Array(memory.buffer, sim.get_cells_ptr(), w * h));
+  const measurements = sim.get_measurements();
+  self.postMessage(
+    { type: 'frame', ticked, width: w, height: h, cells, measurements },
+    [cells.buffer, measurements.buffer],
+  );
+}
+
+self.onmessage = async (e) => {
+  const msg = e.data;
+  try {
+    switch (msg.type) {
+      case 'init': {
+        bindings = await import(msg.bindingsUrl);
+        const wasm = await bindings.default({ module_or_path: msg.wasmUrl });
+        memory = wasm.memory;
+        sim = bindings.Simulation.new();
+        sim.set_resolution(msg.width, msg.height);
+        postFrame(false);
+        break;
+      }
+      case 'call':
+        sim[msg.method](...msg.args);
+        postFrame(false);
+        break;
+      case 'tick':
+        sim.tick();
+        postFrame(true);
+        break;
+      case 'renew': {
+        const w = sim.get_width();
+        const h = sim.get_height();
+        sim.free();
+        sim = bindings.Simulation.new();
+        sim.set_resolution(w, h);
+        postFrame(false);
+        break;
+      }
+      case 'write': {
+        const cells = new Int32Array(memory.buffer, sim.get_cells_ptr(), sim.get_width() * sim.get_height());
+        msg.indices.forEach((idx, k) => { cells[idx] = msg.values[k]; });
+        postFrame(false);
+        break;
+      }
+    }
+  } catch (err) {
+    self.postMessage({ type: 'error', ticked: msg.type === 'tick', message: String(err?.message ?? err) });
+  }
+};
@@ -0,0 +1,81 @@
+// Lattice state snapshots for configs and shared links.
+// Cells are bit-packed row-major, LSB first (1 = up / alive, anything else
+// = down / dead), deflated where the browser has CompressionStream, and
+// base64url-encoded so the result can sit in a #config= hash.
+//
+//   { width, height, tick, encoding: 'bits+deflate' | 'bits', data }
+
+function toBase64Url(bytes) {
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const bin = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
+}
+
+async function pipeBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// cells: Int32Array (or any array of cell values), row-major
+export async function encodeState(cells, width, height, extra = {}) {
+    const n = width * height;
+    const bits = new Uint8Array(Math.ceil(n / 8));
+    for (let i = 0; i < n; i++) {
+        if (cells[i] === 1) bits[i >> 3] |= 1 << (i & 7);
+    }
+    let encoding = 'bits';
+    let bytes = bits;
+    if (typeof CompressionStream === 'function') {
+        bytes = await pipeBytes(bits, new CompressionStream('deflate'));
+        encoding = 'bits+deflate';
+    }
+    return { width, height, ...extra, encoding, data: toBase64Url(bytes) };
+}
+
+// -> Int32Array of +1 / -1, width * height long
+export async function decodeState(state) {
+    const { width, height, encoding, data } = state;
+    let bits = fromBase64Url(data);
+    if (encoding === 'bits+deflate') {
+        if (typeof DecompressionStream !== 'function') {
+            throw new Error('lattice: this browser cannot decompress the saved state');
+        }
+        bits = await pipeBytes(bits, new DecompressionStream('deflate'));
+    } else if (encoding !== 'bits') {
+        throw new Error(`lattice: unknown state encoding "${encoding}"`);
+    }
+    const n = width * height;
+    if (bits.length * 8 < n) throw new Error('lattice: saved state is truncated');
+    const cells = new Int32Array(n);
+    for (let i = 0; i < n; i++) {
+        cells[i] = (bits[i >> 3] >> (i & 7)) & 1 ? 1 : -1;
+    }
+    return cells;
+}
+
+// Copy a srcW x srcH grid into a dstW x dstH one: cropped where the source is
+// larger, padded with -1 where it is smaller. `anchor` lines up the centres
+// ('center') or the top-left corners ('top-left'). Typed arrays keep their type.
+export function fitGrid(src, srcW, srcH, dstW, dstH, anchor = 'center') {
+    const Type = ArrayBuffer.isView(src) ? src.constructor : Int32Array;
+    if (srcW === dstW && srcH === dstH) return Type.from(src);
+    const dst = new Type(dstW * dstH).fill(-1);
+    const centred = anchor !== 'top-left';
+    const dx = centred ? Math.floor((dstW - srcW) / 2) : 0;
+    const dy = centred ? Math.floor((dstH - srcH) / 2) : 0;
+    for (let y = Math.max(0, dy); y < Math.min(dstH, srcH + dy); y++) {
+        for (let x = Math.max(0, dx); x < Math.min(dstW, srcW + dx); x++) {
+            dst[y * dstW + x] = src[(y - dy) * srcW + (x - dx)];
+        }
+    }
+    return dst;
+}
@@ -0,0 +1,137 @@
+// Temperature / field sweeps for the phase diagram.
+// Runs on a Simulation.copy() so the live view keeps ticking, and yields to the
+// event loop between slices of work.
+
+import { MeasurementSeries } from './measurements.js';
+
+const SLICE_MS = 8;
+
+const yieldToBrowser = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// opts: { param: 'temperature' | 'field', from, to, steps, equilibrate, samples,
+//         temperature, field, coupling, dynamics, sweeps }
+// onPoint(point, index) is called as each point finishes; isCancelled() is polled.
+export async function runSweep(simulation, opts, onPoint, isCancelled = () => false) {
+    const sim = simulation.copy();
+    const numCells = sim.get_width() * sim.get_height();
+    const points = [];
+
+    // Sweeps are pure Ising runs, whatever the live view is doing
+    sim.set_update_config(false, true, 'async_first', opts.sweeps ?? 1.0);
+
+    try {
+        for (let i = 0; i < opts.steps; i++) {
+            const x = opts.steps > 1
+                ? opts.from + (opts.to - opts.from) * i / (opts.steps - 1)
+                : opts.from;
+            const T = opts.param === 'temperature' ? x : opts.temperature;
+            const h = opts.param === 'field' ? x : opts.field;
+            sim.set_ising_params(T, h, opts.coupling, opts.dynamics);
+
+            const series = new MeasurementSeries(opts.samples);
+            const total = opts.equilibrate + opts.samples;
+            let sliceStart = performance.now();
+
+            for (let t = 0; t < total; t++) {
+                sim.tick();
+                if (t >= opts.equilibrate) {
+                    series.push(sim.get_measurements());
+                }
+                if (performance.now() - sliceStart > SLICE_MS) {
+                    await yieldToBrowser();
+                    if (isCancelled()) return points;
+                    sliceStart = performance.now();
+                }
+            }
+
+            const stats = series.windowStats(opts.samples, numCells, T);
+            const point = {
+                x,
+                absM: stats.meanAbsM,
+                energy: stats.meanE,
+                chi: stats.susceptibility,
+                heat: stats.specificHeat,
+            };
+            points.push(point);
+            onPoint(point, i);
+        }
+    } finally {
+        sim.free();
+    }
+
+    return points;
+}
+
+export function sweepToCSV(points, param) {
+    const rows = [`${param},abs_m,energy,chi,heat`];
+    for (const p of points) {
+        rows.push([p.x, p.absM, p.energy, p.chi, p.heat].join(','));
+    }
+    return rows.join('\n');
+}
+
+const CURVES = [
+    { key: 'absM', label: '|m|', color: '#ffbe0b' },
+    { key: 'energy', label: 'E', color: '#ff006e' },
+    { key: 'chi', label: 'χ', color: '#3a86ff' },
+    { key: 'heat', label: 'C', color: '#8ac926' },
+];
+
+// 2x2 grid of curves against the swept parameter
+export function drawSweep(ctx, points, range, xLabel) {
+    const w = ctx.canvas.width;
+    const h = ctx.canvas.height;
+    const cw = w / 2;
+    const ch = h / 2;
+    const pad = 4;
+    const [xMin, xMax] = range[0] <= range[1] ? range : [range[1], range[0]];
+    const xSpan = xMax - xMin || 1;
+
+    ctx.fillStyle = '#111';
+    ctx.fillRect(0, 0, w, h);
+    ctx.font = '10px sans-serif';
+    ctx.textBaseline = 'top';
+
+    CURVES.forEach((curve, k) => {
+        const ox = (k % 2) * cw;
+        const oy = Math.floor(k / 2) * ch;
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+        ctx.strokeRect(ox + 0.5, oy + 0.5, cw - 1, ch - 1);
+
+        ctx.fillStyle = curve.color;
+        ctx.fillText(`${curve.label}(${xLabel})`, ox + pad, oy + pad);
+
+        if (points.length === 0) return;
+
+        let min = Infinity, max = -Infinity;
+        for (const p of points) {
+            if (p[curve.key] < min) min = p[curve.key];
+            if (p[curve.key] > max) max = p[curve.key];
+        }
+        const span = max - min || 1;
+        const top = oy + 16;
+        const plotH = ch - 16 - pad;
+
+        const toX = (x) => ox + pad + ((x - xMin) / xSpan) * (cw - 2 * pad);
+        const toY = (v) => top + (1 - (v - min) / span) * plotH;
+
+        ctx.strokeStyle = curve.color;
+        ctx.beginPath();
+        points.forEach((p, i) => {
+            if (i === 0) ctx.moveTo(toX(p.x), toY(p[curve.key]));
+            else ctx.lineTo(toX(p.x), toY(p[curve.key]));
+        });
+        ctx.stroke();
+
+        ctx.fillStyle = curve.color;
+        for (const p of points) {
+            ctx.fillRect(toX(p.x) - 1.5, toY(p[curve.key]) - 1.5, 3, 3);
+        }
+
+        ctx.fillStyle = '#666';
+        ctx.textAlign = 'right';
+        ctx.fillText(max.toFixed(2), ox + cw - pad, oy + pad);
+        ctx.textAlign = 'left';
+    });
+}
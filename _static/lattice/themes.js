@@ -0,0 +1,152 @@
+// Colour palettes and cell colouring shared by the app and embeds.
+// Colours are written as CSS hex in configs and converted to the 0xAABBGGRR
+// layout a Uint32Array view of ImageData expects.
+
+export const PALETTES = {
+    dark: { up: '#ffffff', down: '#050505', zero: '#3a3a3a', young: '#3a86ff', sel: '#ff0000', overlay: '#00ff004d' },
+    light: { up: '#111111', down: '#ffffff', zero: '#bdbdbd', young: '#ff006e', sel: '#d62828', overlay: '#3a86ff4d' },
+    ink: { up: '#1d1d1b', down: '#f4efe6', zero: '#b8ad9a', young: '#9e2a2b', sel: '#9e2a2b', overlay: '#33553366' },
+    ember: { up: '#ffbe0b', down: '#1a0b1f', zero: '#5a2a5f', young: '#ff006e', sel: '#3a86ff', overlay: '#3a86ff4d' },
+    ocean: { up: '#e0fbfc', down: '#0b132b', zero: '#3a506b', young: '#5bc0be', sel: '#ff6b6b', overlay: '#ffbe0b4d' },
+};
+
+// 'flip-age' and 'activity' ignore the palette and draw a heatmap
+export const COLOR_MODES = ['state', 'age', 'flip-age', 'activity'];
+
+// Inferno-like ramp, 256 entries of 0xAABBGGRR
+const HEAT_STOPS = ['#000004', '#320a5e', '#781c6d', '#bc3754', '#ed6925', '#fbb61a', '#fcffa4'];
+export const HEAT_LUT = (() => {
+    const stops = HEAT_STOPS.map(c => parseColor(c));
+    const lut = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        const x = (i / 255) * (stops.length - 1);
+        const k = Math.min(Math.floor(x), stops.length - 2);
+        lut[i] = mix(stops[k], stops[k + 1], x - k);
+    }
+    return lut;
+})();
+
+// '#rgb', '#rrggbb' or '#rrggbbaa' -> 0xAABBGGRR
+export function parseColor(css) {
+    let hex = String(css).trim().replace(/^#/, '');
+    if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+    if (hex.length === 6) hex += 'ff';
+    if (!/^[0-9a-f]{8}$/i.test(hex)) throw new Error(`lattice: bad colour "${css}"`);
+    const [r, g, b, a] = [0, 2, 4, 6].map(i => parseInt(hex.slice(i, i + 2), 16));
+    return ((a << 24) | (b << 16) | (g << 8) | r) >>> 0;
+}
+
+// Named palette plus per-key overrides -> uint32 colours.
+// 'auto' follows the reader's prefers-color-scheme.
+export function resolveTheme(name = 'dark', overrides = {}) {
+    if (name === 'auto') {
+        const dark = typeof matchMedia === 'function' && matchMedia('(prefers-color-scheme: dark)').matches;
+        name = dark ? 'dark' : 'light';
+    }
+    const palette = PALETTES[name];
+    if (!palette) console.warn(`lattice: unknown theme "${name}", using dark`);
+    const merged = { ...(palette || PALETTES.dark), ...overrides };
+    const colors = {};
+    for (const key of Object.keys(PALETTES.dark)) {
+        colors[key] = parseColor(merged[key]);
+    }
+    return colors;
+}
+
+function mix(a, b, t) {
+    const ch = (c, s) => (c >>> s) & 0xFF;
+    const lerp = (s) => Math.round(ch(a, s) + (ch(b, s) - ch(a, s)) * t) << s;
+    return (0xFF000000 | lerp(16) | lerp(8) | lerp(0)) >>> 0;
+}
+
+// Per-cell history: ticks each cell has held its current value, and a flip
+// counter that decays by `decay` per tick (so 1 / (1 - decay) means "flips every tick").
+export class AgeTracker {
+    constructor(size, decay = 0.95) {
+        this.decay = decay;
+        this.reset(size);
+    }
+
+    reset(size) {
+        this.size = size;
+        this.ages = new Uint32Array(size);
+        this.activity = new Float32Array(size);
+        this.prev = null;
+    }
+
+    update(cells) {
+        if (cells.length !== this.size) this.reset(cells.length);
+        if (!this.prev) {
+            this.prev = Int8Array.from(cells);
+            return;
+        }
+        const decay = this.decay;
+        for (let i = 0; i < this.size; i++) {
+            if (cells[i] === this.prev[i]) {
+                this.ages[i]++;
+                this.activity[i] *= decay;
+            } else {
+                this.ages[i] = 0;
+                this.activity[i] = this.activity[i] * decay + 1;
+                this.prev[i] = cells[i];
+            }
+        }
+    }
+}
+
+// Fill buf32 (ImageData as Uint32Array) from the cell values.
+// 'state' colours +1 / -1 / 0 directly; 'age' fades from `young` to the
+// state colour over maxAge ticks on a log scale. The heatmap modes read the
+// tracker: 'flip-age' is hot where a cell flipped recently, 'activity' is hot
+// where it flips often.
+export function colorize(buf32, cells, colors, mode = 'state', tracker = null, maxAge = 200) {
+    const n = cells.length;
+    const { up, down, zero } = colors;
+    const tracked = tracker && tracker.size === n;
+
+    if (mode === 'flip-age' && tracked) {
+        const norm = 255 / Math.log1p(maxAge);
+        const lut = new Uint8Array(maxAge + 1);
+        for (let a = 0; a <= maxAge; a++) lut[a] = 255 - Math.round(Math.log1p(a) * norm);
+        for (let i = 0; i < n; i++) {
+            buf32[i] = HEAT_LUT[lut[Math.min(tracker.ages[i], maxAge)]];
+        }
+        return;
+    }
+
+    if (mode === 'activity' && tracked) {
+        const scale = 255 * (1 - tracker.decay);
+        for (let i = 0; i < n; i++) {
+            buf32[i] = HEAT_LUT[Math.min(255, Math.round(tracker.activity[i] * scale))];
+        }
+        return;
+    }
+
+    if (mode === 'age' && tracked) {
+        const ages = tracker.ages;
+        const norm = 1 / Math.log1p(maxAge);
+        const ramp = (base) => {
+            const lut = new Uint32Array(maxAge + 1);
+            for (let a = 0; a <= maxAge; a++) lut[a] = mix(colors.young, base, Math.log1p(a) * norm);
+            return lut;
+        };
+        const upRamp = ramp(up);
+        const downRamp = ramp(down);
+        for (let i = 0; i < n; i++) {
+            const a = Math.min(ages[i], maxAge);
+            const v = cells[i];
+            buf32[i] = v === 1 ? upRamp[a] : v === -1 ? downRamp[a] : zero;
+        }
+        return;
+    }
+
+    for (let i = 0; i < n; i++) {
+        const v = cells[i];
+        buf32[i] = v === 1 ? up : v === -1 ? down : zero;
+    }
+}
+
+// 0xAABBGGRR -> 'rgba(...)' for fillStyle users
+export function toCSS(c) {
+    return `rgba(${c & 0xFF}, ${(c >>> 8) & 0xFF}, ${(c >>> 16) & 0xFF}, ${((c >>> 24) & 0xFF) / 255})`;
+}
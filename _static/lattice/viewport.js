@@ -0,0 +1,74 @@
+// Camera over the lattice: zoom and pan without touching its resolution.
+// The view is { zoom, x, y } as GLRenderer.draw() takes it: zoom 1 shows the
+// whole lattice across the canvas, x / y is the (fractional) cell at the
+// top-left corner. Screen positions in and out are fractions of the canvas
+// (0..1), so the transform holds whatever the canvas's CSS or backing size.
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+export class Viewport {
+    constructor(maxZoom = 64) {
+        this.maxZoom = maxZoom;
+        this.reset();
+    }
+
+    reset() {
+        this.zoom = 1;
+        this.x = 0;
+        this.y = 0;
+    }
+
+    // Keep the view inside a width x height lattice
+    clamp(width, height) {
+        this.zoom = clamp(this.zoom, 1, this.maxZoom);
+        this.x = clamp(this.x, 0, width - width / this.zoom);
+        this.y = clamp(this.y, 0, height - height / this.zoom);
+    }
+
+    // Canvas fraction -> fractional lattice cell
+    toCell(fx, fy, width, height) {
+        return {
+            x: this.x + fx * width / this.zoom,
+            y: this.y + fy * height / this.zoom,
+        };
+    }
+
+    // Zoom by `factor`, keeping the cell under (fx, fy) where it is
+    zoomAt(factor, fx, fy, width, height) {
+        const anchor = this.toCell(fx, fy, width, height);
+        this.zoom = clamp(this.zoom * factor, 1, this.maxZoom);
+        this.x = anchor.x - fx * width / this.zoom;
+        this.y = anchor.y - fy * height / this.zoom;
+        this.clamp(width, height);
+    }
+
+    // Drag by a canvas fraction
+    panBy(dfx, dfy, width, height) {
+        this.x -= dfx * width / this.zoom;
+        this.y -= dfy * height / this.zoom;
+        this.clamp(width, height);
+    }
+
+    centerOn(cx, cy, width, height) {
+        this.x = cx - width / this.zoom / 2;
+        this.y = cy - height / this.zoom / 2;
+        this.clamp(width, height);
+    }
+
+    // Source rectangle [sx, sy, sw, sh] of a width x height buffer for drawImage()
+    sourceRect(width, height) {
+        return [this.x, this.y, width / this.zoom, height / this.zoom];
+    }
+}
+
+// Whole-lattice thumbnail from `source` (a canvas holding one pixel per
+// cell) with the visible region outlined
+export function drawMinimap(ctx, source, view, width, height) {
+    const { width: mw, height: mh } = ctx.canvas;
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(source, 0, 0, mw, mh);
+    const [sx, sy, sw, sh] = view.sourceRect(width, height);
+    ctx.strokeStyle = '#3a86ff';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(sx / width * mw, sy / height * mh, sw / width * mw, sh / height * mh);
+}